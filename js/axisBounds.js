@@ -0,0 +1,88 @@
+/**
+ * Axis Bounds Module
+ * Chart axis ranges computed from the data instead of fixed dates, and zoom-aware pixel ↔ value conversion.
+ *
+ * x (travel/validity time): version open/close, travel and return date, and the purchase date
+ *   (the shading of already-passed travel dates runs up to it).
+ * y (purchase/publish time): publish and withdrawn dates, and the purchase date.
+ *
+ * Bounds shape: { x: { min, max }, y: { min, max } } in ms, padded and on day boundaries.
+ */
+
+import { startOfDay, addCalendarDays } from './timeZone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Padded range around the finite values; falls back to ±30 days around today when there are none
+ */
+function paddedRange(values, { padding, minPaddingDays, timeZone }) {
+  const finite = values.filter(Number.isFinite);
+  if (finite.length === 0) {
+    const today = startOfDay(Date.now(), timeZone);
+    return { min: addCalendarDays(today, -30, timeZone), max: addCalendarDays(today, 30, timeZone) };
+  }
+  const low = finite.reduce((a, b) => Math.min(a, b));
+  const high = finite.reduce((a, b) => Math.max(a, b));
+  const pad = Math.max((high - low) * padding, minPaddingDays * DAY_MS);
+  const min = startOfDay(low - pad, timeZone);
+  let max = startOfDay(high + pad, timeZone);
+  if (max < high + pad) max = addCalendarDays(max, 1, timeZone);
+  return { min, max };
+}
+
+/**
+ * Compute axis bounds for a version set and the current dates
+ * @param {Array<Object>} versions - chartData
+ * @param {Object} [options]
+ * @param {number} [options.purchaseDate]
+ * @param {number} [options.travelDate]
+ * @param {number|null} [options.returnDate]
+ * @param {string} [options.timeZone] - Day boundaries are taken in this zone
+ * @param {number} [options.padding=0.05] - Fraction of the data span added on each side
+ * @param {number} [options.minPaddingDays=7] - Padding never gets smaller than this
+ * @returns {{x:{min:number, max:number}, y:{min:number, max:number}}}
+ */
+export function computeAxisBounds(versions, { purchaseDate, travelDate, returnDate, timeZone, padding = 0.05, minPaddingDays = 7 } = {}) {
+  const x = [travelDate, returnDate, purchaseDate];
+  const y = [purchaseDate];
+  (versions || []).forEach(v => {
+    x.push(v.open, v.close);
+    y.push(v.publishDate, v.withdrawnDate);
+  });
+  const settings = { padding, minPaddingDays, timeZone };
+  return { x: paddedRange(x, settings), y: paddedRange(y, settings) };
+}
+
+/**
+ * Smallest bounds containing both a and b (a may be null)
+ */
+export function unionBounds(a, b) {
+  if (!a) return b;
+  const union = (p, q) => ({ min: Math.min(p.min, q.min), max: Math.max(p.max, q.max) });
+  return { x: union(a.x, b.x), y: union(a.y, b.y) };
+}
+
+/**
+ * Value at a point of the plot area, taking the axis zoom into account
+ * @param {Object} axis - am5xy DateAxis
+ * @param {number} relative - 0..1 across the plot area (from the left for x, from the top for y)
+ * @returns {number}
+ */
+export function valueAtPlotPosition(axis, relative) {
+  return axis.positionToValue(axis.toAxisPosition(Math.max(0, Math.min(1, relative))));
+}
+
+/**
+ * Position of a value across the plot area (inverse of valueAtPlotPosition; outside 0..1 when zoomed away)
+ */
+export function plotPositionOfValue(axis, value) {
+  return axis.toGlobalPosition(axis.valueToPosition(value));
+}
+
+/**
+ * Whether two bounds are identical
+ */
+export function sameBounds(a, b) {
+  return !!a && !!b && a.x.min === b.x.min && a.x.max === b.x.max && a.y.min === b.y.min && a.y.max === b.y.max;
+}
@@ -0,0 +1,145 @@
+/**
+ * Batch Resolver Module
+ * Runs a list of bookings through resolveVersion and summarizes the outcome.
+ * Used to check the resolution rules against real sales data.
+ *
+ * Booking shape (after parsing):
+ *  {
+ *    purchaseDate: number|Date|string,
+ *    travelDate: number|Date|string,
+ *    expectedVersion?: string,
+ *    dimensions?: object        // per-row product/market/channel, overrides options.dimensions
+ *  }
+ */
+
+import { resolveVersion } from './versionResolver.js';
+import { parseCsv } from './csv.js';
+import { parseDateValue } from './dateUtils.js';
+
+/** Reason used for rows that could not be resolved because the input itself is invalid. */
+export const INVALID_ROW = 'INVALID_ROW';
+
+// Accepted column names (lowercased) for each booking field
+const COLUMN_ALIASES = {
+  purchaseDate: ['purchasedate', 'purchase', 'kjopsdato', 'kjøpsdato'],
+  travelDate: ['traveldate', 'travel', 'reisedato'],
+  expectedVersion: ['expectedversion', 'expected', 'forventet', 'forventetversjon']
+};
+
+function fieldFor(column) {
+  const key = column.trim().toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+}
+
+/**
+ * Normalize raw records (from CSV or JSON) into bookings.
+ * Columns named like a dimension key become per-row dimensions.
+ * @param {Array<Object>} records
+ * @param {string[]} [dimensionKeys]
+ * @returns {Array<Object>}
+ */
+export function normalizeBookings(records, dimensionKeys = []) {
+  return (records || []).map(record => {
+    const booking = {};
+    const dimensions = {};
+    Object.keys(record || {}).forEach(column => {
+      const field = fieldFor(column);
+      const value = record[column];
+      if (field) booking[field] = value;
+      else if (column === 'dimensions' && value && typeof value === 'object') Object.assign(dimensions, value);
+      else if (dimensionKeys.includes(column) && value !== '') dimensions[column] = value;
+    });
+    if (Object.keys(dimensions).length > 0) booking.dimensions = dimensions;
+    return booking;
+  });
+}
+
+/**
+ * Parse an uploaded bookings file.
+ * @param {string} text - File content
+ * @param {string} fileName - Used to pick JSON or CSV
+ * @param {string[]} [dimensionKeys]
+ * @returns {Array<Object>} bookings
+ */
+export function parseBookings(text, fileName = '', dimensionKeys = []) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[\[{]/.test(text);
+  let records;
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : (parsed && parsed.bookings) || [];
+  } else {
+    records = parseCsv(text);
+  }
+  return normalizeBookings(records, dimensionKeys);
+}
+
+/**
+ * Resolve every booking and build a summary report.
+ * @param {Array<Object>} versions - chartData
+ * @param {Array<Object>} bookings
+ * @param {Object} [options] - ResolveOptions passed to resolveVersion
+ * @returns {{rows:Array<Object>, totals:{byVersion:Object, byReason:Object}, mismatches:Array<Object>, count:number}}
+ */
+export function resolveBatch(versions, bookings, options = {}) {
+  const rows = (bookings || []).map((booking, index) => resolveBooking(versions, booking, index, options));
+
+  const byVersion = {};
+  const byReason = {};
+  rows.forEach(row => {
+    byReason[row.reason] = (byReason[row.reason] || 0) + 1;
+    if (row.version) byVersion[row.version] = (byVersion[row.version] || 0) + 1;
+  });
+
+  return {
+    rows,
+    totals: { byVersion, byReason },
+    mismatches: rows.filter(row => row.mismatch),
+    count: rows.length
+  };
+}
+
+function resolveBooking(versions, booking, index, options) {
+  const purchaseDate = parseDateValue(booking.purchaseDate, options.timeZone);
+  const travelDate = parseDateValue(booking.travelDate, options.timeZone);
+  const expectedVersion = booking.expectedVersion ? String(booking.expectedVersion).trim() : null;
+
+  if (purchaseDate === null || travelDate === null) {
+    const field = purchaseDate === null ? 'purchaseDate' : 'travelDate';
+    return {
+      index,
+      booking,
+      purchaseDate,
+      travelDate,
+      expectedVersion,
+      version: null,
+      reason: INVALID_ROW,
+      explanation: `Rad ${index + 1}: ugyldig eller manglende ${field} (${booking[field] ?? 'tom'}).`,
+      mismatch: false,
+      result: null
+    };
+  }
+
+  const rowOptions = booking.dimensions ? { ...options, dimensions: { ...(options.dimensions || {}), ...booking.dimensions } } : options;
+  const result = resolveVersion(versions, purchaseDate, travelDate, rowOptions);
+  const version = result.match ? result.match.version : null;
+
+  return {
+    index,
+    booking,
+    purchaseDate,
+    travelDate,
+    expectedVersion,
+    version,
+    reason: result.reason,
+    explanation: result.explanation,
+    mismatch: isMismatch(expectedVersion, version),
+    result
+  };
+}
+
+// An expected value of "-", "none" or "ingen" means no version should resolve
+function isMismatch(expectedVersion, version) {
+  if (!expectedVersion) return false;
+  if (['-', 'none', 'ingen'].includes(expectedVersion.toLowerCase())) return version !== null;
+  return version !== expectedVersion;
+}
@@ -0,0 +1,343 @@
+/**
+ * Chart Image Export Module
+ * Saves the chart view as PNG, SVG or a one-page PDF, with a title, timestamp, the resolved-version
+ * text and the legend. Everything is drawn in the browser from the chart's own canvases, so it
+ * works without network access (no exporting plugin or PDF library is loaded).
+ *
+ * The page is laid out once as a list of drawing items and then painted on a canvas (PNG, PDF) or
+ * written as SVG elements. The plot is a bitmap in all formats; in SVG the text and legend are vector.
+ *
+ * Snapshot shape (from ChartManager.getImageSnapshot):
+ *  {
+ *    title: string, subtitle: string,
+ *    text: Array<{ text: string, bold?: boolean }>,      // resolved-version panel, one entry per line
+ *    legend: Array<{ label: string, kind: 'swatch'|'line'|'hatch'|'shade'|'column', color: string,
+ *                    stroke?: string, opacity?: number, dashed?: boolean }>,  // stroke/opacity/dashed: 'column' only
+ *    colors: { background, text, mutedText },             // page colors of the chart theme
+ *    chart: { width: number, height: number, layers: Array<{ canvas, x, y, width, height }> }
+ *  }
+ */
+
+export const IMAGE_FORMATS = {
+  png: { extension: 'png', mimeType: 'image/png' },
+  svg: { extension: 'svg', mimeType: 'image/svg+xml' },
+  pdf: { extension: 'pdf', mimeType: 'application/pdf' }
+};
+
+const FONT_FAMILY = 'Arial, sans-serif';
+const PADDING = 24;
+const DEFAULT_COLORS = { background: '#ffffff', text: '#222222', mutedText: '#666666' };
+
+function font(size, bold) {
+  return `${bold ? 'bold ' : ''}${size}px ${FONT_FAMILY}`;
+}
+
+/**
+ * Split text into lines no wider than maxWidth (long words are kept whole)
+ */
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  String(text).split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+/**
+ * Lay out the page. Returns its size and the drawing items in paint order.
+ */
+function layoutPage(snapshot) {
+  const ctx = document.createElement('canvas').getContext('2d');
+  const width = Math.max(snapshot.chart.width, 480) + PADDING * 2;
+  const innerWidth = width - PADDING * 2;
+  const colors = { ...DEFAULT_COLORS, ...snapshot.colors };
+  const items = [];
+  let y = PADDING;
+
+  const text = (value, size, { bold = false, color = colors.text } = {}) => {
+    ctx.font = font(size, bold);
+    wrapText(ctx, value, innerWidth).forEach(line => {
+      y += Math.round(size * 1.35);
+      items.push({ type: 'text', x: PADDING, y: y - Math.round(size * 0.3), text: line, size, bold, color });
+    });
+  };
+
+  text(snapshot.title, 20, { bold: true });
+  if (snapshot.subtitle) text(snapshot.subtitle, 12, { color: colors.mutedText });
+  y += 8;
+  (snapshot.text || []).forEach(line => text(line.text, 13, { bold: !!line.bold, color: line.bold ? colors.text : colors.mutedText }));
+  y += 12;
+
+  items.push({ type: 'chart', x: PADDING, y, width: snapshot.chart.width, height: snapshot.chart.height });
+  y += snapshot.chart.height + 12;
+
+  // Legend entries flow left to right and wrap
+  ctx.font = font(12, false);
+  let x = PADDING;
+  const rowHeight = 20;
+  (snapshot.legend || []).forEach(entry => {
+    const entryWidth = 14 + 6 + ctx.measureText(entry.label).width;
+    if (x > PADDING && x + entryWidth > width - PADDING) {
+      x = PADDING;
+      y += rowHeight;
+    }
+    const iconTop = y + 3;
+    if (entry.kind === 'line') {
+      items.push({ type: 'line', x1: x, y1: iconTop + 7, x2: x + 14, y2: iconTop + 7, color: entry.color, width: 3 });
+    } else {
+      items.push({ type: 'rect', x, y: iconTop, width: 14, height: 14, fill: entry.color, kind: entry.kind, stroke: entry.stroke, opacity: entry.opacity, dashed: entry.dashed });
+    }
+    items.push({ type: 'text', x: x + 20, y: iconTop + 11, text: entry.label, size: 12, bold: false, color: colors.text });
+    x += entryWidth + 18;
+  });
+  if (snapshot.legend && snapshot.legend.length) y += rowHeight;
+
+  return { width, height: Math.ceil(y + PADDING), background: colors.background, items };
+}
+
+/**
+ * The chart canvases flattened into one bitmap at the given pixel ratio
+ */
+function chartBitmap(chart, scale) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(chart.width * scale);
+  canvas.height = Math.round(chart.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  chart.layers.forEach(layer => ctx.drawImage(layer.canvas, layer.x, layer.y, layer.width, layer.height));
+  return canvas;
+}
+
+// Pixel ratio of the chart as it is on screen, so the export is as sharp as the view
+function pixelRatio(chart) {
+  const layer = chart.layers[0];
+  return layer && layer.width ? Math.max(1, layer.canvas.width / layer.width) : 1;
+}
+
+function paintRect(ctx, item) {
+  if (item.kind === 'hatch') {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(item.x, item.y, item.width, item.height);
+    ctx.clip();
+    ctx.strokeStyle = item.fill;
+    ctx.lineWidth = 2;
+    for (let d = -item.height; d < item.width; d += 6) {
+      ctx.beginPath();
+      ctx.moveTo(item.x + d, item.y + item.height);
+      ctx.lineTo(item.x + d + item.height, item.y);
+      ctx.stroke();
+    }
+    ctx.restore();
+    return;
+  }
+  ctx.globalAlpha = item.kind === 'swatch' ? 0.7 : item.kind === 'column' ? item.opacity : 1;
+  ctx.fillStyle = item.fill;
+  ctx.fillRect(item.x, item.y, item.width, item.height);
+  ctx.globalAlpha = 1;
+  if (item.kind === 'column' && item.stroke) {
+    ctx.setLineDash(item.dashed ? [3, 2] : []);
+    ctx.strokeStyle = item.stroke;
+    ctx.strokeRect(item.x + 0.5, item.y + 0.5, item.width - 1, item.height - 1);
+    ctx.setLineDash([]);
+  }
+  if (item.kind === 'shade') {
+    ctx.setLineDash([3, 2]);
+    ctx.strokeStyle = '#999999';
+    ctx.strokeRect(item.x + 0.5, item.y + 0.5, item.width - 1, item.height - 1);
+    ctx.setLineDash([]);
+  }
+}
+
+/**
+ * Paint the whole page on a canvas
+ */
+function renderCanvas(snapshot) {
+  const page = layoutPage(snapshot);
+  const scale = pixelRatio(snapshot.chart);
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(page.width * scale);
+  canvas.height = Math.round(page.height * scale);
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.fillStyle = page.background;
+  ctx.fillRect(0, 0, page.width, page.height);
+
+  page.items.forEach(item => {
+    if (item.type === 'text') {
+      ctx.font = font(item.size, item.bold);
+      ctx.fillStyle = item.color;
+      ctx.fillText(item.text, item.x, item.y);
+    } else if (item.type === 'line') {
+      ctx.strokeStyle = item.color;
+      ctx.lineWidth = item.width;
+      ctx.beginPath();
+      ctx.moveTo(item.x1, item.y1);
+      ctx.lineTo(item.x2, item.y2);
+      ctx.stroke();
+    } else if (item.type === 'rect') {
+      paintRect(ctx, item);
+    } else if (item.type === 'chart') {
+      ctx.drawImage(chartBitmap(snapshot.chart, scale), item.x, item.y, item.width, item.height);
+    }
+  });
+  return canvas;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[<>&"']/g, ch => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' }[ch]));
+}
+
+/**
+ * SVG document: vector text and legend around the plot as an embedded PNG
+ */
+function renderSvg(snapshot) {
+  const page = layoutPage(snapshot);
+  const scale = pixelRatio(snapshot.chart);
+  let hatchId = 0;
+  const body = page.items.map(item => {
+    if (item.type === 'text') {
+      return `<text x="${item.x}" y="${item.y}" font-family="${FONT_FAMILY}" font-size="${item.size}"${item.bold ? ' font-weight="bold"' : ''} fill="${item.color}">${escapeXml(item.text)}</text>`;
+    }
+    if (item.type === 'line') {
+      return `<line x1="${item.x1}" y1="${item.y1}" x2="${item.x2}" y2="${item.y2}" stroke="${item.color}" stroke-width="${item.width}"/>`;
+    }
+    if (item.type === 'rect') {
+      const box = `x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}"`;
+      if (item.kind === 'hatch') {
+        const id = `hatch${hatchId++}`;
+        return `<pattern id="${id}" width="6" height="6" patternUnits="userSpaceOnUse" patternTransform="rotate(45)"><rect width="2" height="6" fill="${item.fill}"/></pattern><rect ${box} fill="url(#${id})"/>`;
+      }
+      if (item.kind === 'shade') {
+        return `<rect ${box} fill="${item.fill}" stroke="#999999" stroke-dasharray="3 2"/>`;
+      }
+      if (item.kind === 'column') {
+        const stroke = item.stroke ? ` stroke="${item.stroke}"${item.dashed ? ' stroke-dasharray="3 2"' : ''}` : '';
+        return `<rect ${box} fill="${item.fill}" fill-opacity="${item.opacity}"${stroke}/>`;
+      }
+      return `<rect ${box} fill="${item.fill}" fill-opacity="0.7"/>`;
+    }
+    const href = chartBitmap(snapshot.chart, scale).toDataURL('image/png');
+    return `<image x="${item.x}" y="${item.y}" width="${item.width}" height="${item.height}" href="${href}"/>`;
+  });
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${page.width}" height="${page.height}" viewBox="0 0 ${page.width} ${page.height}">`,
+    `<title>${escapeXml(snapshot.title)}</title>`,
+    `<rect width="100%" height="100%" fill="${page.background}"/>`,
+    ...body,
+    `</svg>`
+  ].join('\n');
+}
+
+// PDF text string as UTF-16BE hex, so æøå survive in the document info
+function pdfText(value) {
+  let hex = 'FEFF';
+  for (const ch of String(value)) {
+    const code = ch.codePointAt(0);
+    const units = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+    units.forEach(unit => { hex += unit.toString(16).toUpperCase().padStart(4, '0'); });
+  }
+  return `<${hex}>`;
+}
+
+function pdfDate(ts) {
+  const iso = new Date(ts).toISOString();
+  return `(D:${iso.slice(0, 19).replace(/[-:T]/g, '')}Z)`;
+}
+
+/**
+ * Minimal one-page PDF around a JPEG. The page is A4, landscape or portrait after the image shape.
+ * @param {Uint8Array} jpeg
+ * @param {number} imageWidth - Pixels
+ * @param {number} imageHeight - Pixels
+ * @param {{title?: string}} [info]
+ * @returns {Uint8Array}
+ */
+export function buildPdf(jpeg, imageWidth, imageHeight, { title = '' } = {}) {
+  const landscape = imageWidth >= imageHeight;
+  const pageWidth = landscape ? 842 : 595;
+  const pageHeight = landscape ? 595 : 842;
+  const margin = 28;
+  const fit = Math.min((pageWidth - margin * 2) / imageWidth, (pageHeight - margin * 2) / imageHeight);
+  const w = (imageWidth * fit).toFixed(2);
+  const h = (imageHeight * fit).toFixed(2);
+  const x = ((pageWidth - imageWidth * fit) / 2).toFixed(2);
+  const y = (pageHeight - margin - imageHeight * fit).toFixed(2);
+  const content = `q ${w} 0 0 ${h} ${x} ${y} cm /Im0 Do Q`;
+
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+    [`<< /Type /XObject /Subtype /Image /Width ${imageWidth} /Height ${imageHeight} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>\nstream\n`, jpeg, '\nendstream'],
+    `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+    `<< /Title ${pdfText(title)} /Producer (VersionVisualizer) /CreationDate ${pdfDate(Date.now())} >>`
+  ];
+
+  const encoder = new TextEncoder();
+  const chunks = [];
+  let length = 0;
+  const write = part => {
+    const bytes = typeof part === 'string' ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // binary marker comment
+  const offsets = objects.map((object, i) => {
+    const offset = length;
+    write(`${i + 1} 0 obj\n`);
+    [].concat(object).forEach(write);
+    write('\nendobj\n');
+    return offset;
+  });
+  const xref = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  offsets.forEach(offset => write(`${String(offset).padStart(10, '0')} 00000 n \n`));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const out = new Uint8Array(length);
+  let at = 0;
+  chunks.forEach(chunk => {
+    out.set(chunk, at);
+    at += chunk.length;
+  });
+  return out;
+}
+
+function canvasToBlob(canvas, mimeType, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Kunne ikke lage bildet.'))), mimeType, quality);
+  });
+}
+
+/**
+ * Render a snapshot in one of IMAGE_FORMATS
+ * @param {Object} snapshot - ChartManager.getImageSnapshot()
+ * @param {'png'|'svg'|'pdf'} format
+ * @returns {Promise<Blob>}
+ */
+export async function exportChartImage(snapshot, format) {
+  if (format === 'svg') {
+    return new Blob([renderSvg(snapshot)], { type: IMAGE_FORMATS.svg.mimeType });
+  }
+  const canvas = renderCanvas(snapshot);
+  if (format === 'png') {
+    return canvasToBlob(canvas, IMAGE_FORMATS.png.mimeType);
+  }
+  if (format === 'pdf') {
+    const jpeg = new Uint8Array(await (await canvasToBlob(canvas, 'image/jpeg', 0.92)).arrayBuffer());
+    return new Blob([buildPdf(jpeg, canvas.width, canvas.height, { title: snapshot.title })], { type: IMAGE_FORMATS.pdf.mimeType });
+  }
+  throw new Error(`Ukjent bildeformat: ${format}`);
+}
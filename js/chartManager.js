@@ -7,12 +7,45 @@ import { DragAndDropHandler } from './dragAndDrop.js';
 import { PurchaseDateShading } from './purchaseDateShading.js';
 import { TravelDateLine } from './travelDateLine.js';
 import { resolveVersion } from './versionResolver.js';
+import { resolveBatch } from './batchResolver.js';
+import { resolveTrip, TRIP_POLICIES } from './tripResolver.js';
+import { TripBand } from './tripBand.js';
+import { WithdrawalMarkers } from './withdrawalMarkers.js';
+import { DecisionMapOverlay } from './decisionMapOverlay.js';
+import { versionColorMap, NO_MATCH_LABELS } from './decisionMap.js';
+import { analyzeCoverage } from './coverageAnalyzer.js';
+import { CoverageMarkers } from './coverageMarkers.js';
+import { diffScenarios, transitionLabel } from './scenarioDiff.js';
+import { ScenarioDiffOverlay } from './scenarioDiffOverlay.js';
+import { GhostColumns } from './ghostColumns.js';
+import { CompareChart } from './compareChart.js';
+import { EditHistory } from './editHistory.js';
+import { DEFAULT_STRATEGY } from './precedenceStrategies.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, formatInstant, formatInputDateTime, roundToUnit, startOfDay, addCalendarDays } from './timeZone.js';
 import { DataGenerator } from "./dataGenerator.js";
 import { addVersionLabels } from './versionLabels.js';
+import { columnColors, normalizeColor, normalizeTags } from './versionStyle.js';
+import { classifyVersions, describeVersionStatus, roleColumnStyle, ROLE_LABELS } from './versionRoles.js';
+import { computeAxisBounds, unionBounds, sameBounds } from './axisBounds.js';
+import { resolveTheme, interfaceColorsFor, DEFAULT_THEME } from './chartTheme.js';
+import { matchesDimensions, getDimensionKeys, getDimensionValues, formatDimensions } from './versionDimensions.js';
+import { escapeHtml, escapeChartText } from './html.js';
+
+// Coverage analysis waits this long after the last change, so drops and typing are not held up by it
+const COVERAGE_ANALYSIS_DELAY = 400;
+// Findings listed in the panel and marked on the chart, most severe first; the rest are only counted
+const MAX_SHOWN_FINDINGS = 50;
+// The scenario diff resolves the whole visible plane twice, so it waits for edits to settle as well
+const SCENARIO_DIFF_DELAY = 400;
 
 export class ChartManager {
-    constructor(containerId) {
+    /**
+     * @param {string} containerId - Element for the chart
+     * @param {string} [compareContainerId] - Element for the side-by-side comparison chart
+     */
+    constructor(containerId, compareContainerId = null) {
         this.containerId = containerId;
+        this.compareContainerId = compareContainerId;
         this.root = null;
         this.chart = null;
         this.xAxis = null;
@@ -21,34 +54,77 @@ export class ChartManager {
         this.chartData = [];
         this.purchaseDate = new Date(2025, 9, 15).getTime(); // Default: Oct 15, 2025
         this.travelDate = new Date(2025, 10, 1).getTime(); // Default: Nov 1, 2025
+        this.returnDate = null; // Optional return date; when set the travel date is the departure of a trip
+        this.tripPolicy = TRIP_POLICIES.PER_SEGMENT;
         this.dragHandler = null;
         this.purchaseDateShading = null; // New dedicated module
         this.travelDateLine = null; // decoupled visual for travel date
+        this.tripBand = null; // band from departure to return date
+        this.withdrawalMarkers = null; // sale window and cut-off for withdrawn versions
+        this.decisionMap = null; // overlay coloring the purchase × travel plane by resolved version
+        this.coverageMarkers = null; // chart markers for coverage lint findings
+        this.coverageFindings = [];
+        this._coverageTimer = null; // pending scheduleCoverageAnalysis run
+        this.scenarioBaseline = null; // snapshot of chartData that the scenario diff compares against
+        this.scenarioDiffOverlay = null; // hatched regions where the resolved version changed
+        this.scenarioDiff = null; // last diffScenarios result
+        this._scenarioDiffTimer = null; // pending scheduleScenarioDiff run
+        this.compareSet = null; // { name, versions }: second version set shown next to or behind this one
+        this.compareMode = 'side'; // 'side' | 'ghost' (see COMPARE_MODES)
+        this.compareChart = null; // CompareChart while comparing side by side
+        this.ghostColumns = null; // outlines of the comparison set behind the columns
+        this._compareZoomDisposers = []; // main axis zoom listeners that drive the compare chart
+        this._settingZoom = false; // true while the compare chart's zoom is applied here
+        this.history = new EditHistory({ onChange: () => document.dispatchEvent(new CustomEvent('historyChanged')) });
         this._currentValidVersion = null; // Store current valid version for adapters
+        this._versionRoles = new Map(); // version object -> { role, reason } (see versionRoles.js)
+        this._hoveredVersion = null; // version under the pointer, for the right-click menu
+        this.minimaps = []; // { xAxis, yAxis, series } in each scrollbar's overview chart
+        this.panMode = false; // true: dragging the plot pans instead of moving columns and date lines
+        this.dimensionFilter = {}; // Active dimension query, e.g. { market: 'NO', channel: 'web' }
+        this.strategy = DEFAULT_STRATEGY; // Precedence strategy name or custom comparator
+        this.timeZone = DEFAULT_TIME_ZONE; // IANA zone the dataset's wall-clock times are read and shown in
+        this.snapUnit = 'day'; // Dragged dates snap to 'day' | 'hour' | 'minute' (null = no snapping)
+        this.inclusiveEnd = true; // Whether a version is still valid on its close date
+        this.theme = resolveTheme(DEFAULT_THEME); // colors for the chart and all overlays (see chartTheme.js)
     }
 
     /**
      * Initialize the complete chart with delayed rendering
+     * @param {Object} [initialState] - State from getState (e.g. a saved scenario); random sample data when omitted
      */
-    async initialize() {
+    async initialize(initialState = null) {
         try {
+            if (initialState) this.applyStateFields(initialState);
             this.initializeRoot();
             this.createChart();
             this.addCursor();
             this.createAxes();
+            this.createScrollbars();
 
             // Generate and analyze data BEFORE creating series
-            this.chartData = new DataGenerator().generateData();
+            this.chartData = initialState && Array.isArray(initialState.versions)
+                ? initialState.versions.map(v => ({ ...v }))
+                : new DataGenerator().generateData();
+            this.updateAxisBounds({ fit: true });
 
             // Determine valid version before chart creation
-            const validVersionResult = resolveVersion(this.chartData, this.purchaseDate, this.travelDate, { inclusiveEnd: true });
+            const validVersionResult = resolveVersion(this.chartData, this.purchaseDate, this.travelDate, this.getResolveOptions());
             this._currentValidVersion = validVersionResult && validVersionResult.match ? validVersionResult.match.version : null;
 
             // Create series with pre-determined highlight colors using adapters
             this.createSeries();
+            this.initializeContextMenu();
 
             this.initializePurchaseDateShading();
             this.initializeTravelDateLine();
+            this.initializeTripBand();
+            this.withdrawalMarkers = new WithdrawalMarkers(this.chart, this.xAxis, this.yAxis);
+            this.coverageMarkers = new CoverageMarkers(this.chart, this.xAxis, this.yAxis);
+            this.scenarioDiffOverlay = new ScenarioDiffOverlay(this.chart, this.xAxis, this.yAxis);
+            this.decisionMap = new DecisionMapOverlay(this.chart, this.xAxis, this.yAxis);
+            this.ghostColumns = new GhostColumns(this.chart, this.xAxis, this.yAxis);
+            this.applyThemeColors();
 
             // Set data after series is configured with correct colors
             this.setData(this.chartData);
@@ -56,6 +132,7 @@ export class ChartManager {
             this.initializeDragAndDrop();
             this.applyAnimations();
             this.updateResolvedVersionUI();
+            this.history.reset(this.getState());
 
             return true;
         } catch (error) {
@@ -70,6 +147,8 @@ export class ChartManager {
     initializeRoot() {
         this.root = am5.Root.new(this.containerId);
         this.root.setThemes([am5themes_Animated.new(this.root)]);
+        this.root.interfaceColors.setAll(this.interfaceColorSettings());
+        this.root.timezone = am5.Timezone.new(this.timeZone);
     }
 
     /**
@@ -77,11 +156,14 @@ export class ChartManager {
      */
     createChart() {
         this.chart = this.root.container.children.push(am5xy.XYChart.new(this.root, {
+            // Dragging the plot only pans in pan mode (setPanMode), so it does not fight with dragging
+            // columns and date lines. The wheel zooms around the pointer, a sideways wheel pans.
             panX: false,
             panY: false,
-            wheelX: "none",
-            wheelY: "none",
-            pinchZoomX: false,
+            wheelX: "panX",
+            wheelY: "zoomXY",
+            pinchZoomX: true,
+            pinchZoomY: true,
             paddingLeft: 55,
             paddingBottom: 55
         }));
@@ -112,9 +194,10 @@ export class ChartManager {
             visible: true
         });
 
-        // Create X-axis (Date axis for validity period)
+        // Create X-axis (Date axis for validity period); min/max come from the data (see updateAxisBounds)
         this.xAxis = this.chart.xAxes.push(am5xy.DateAxis.new(this.root, {
-            baseInterval: { timeUnit: "day", count: 1 },
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
             renderer: xRenderer,
             tooltip: am5.Tooltip.new(this.root, {})
         }));
@@ -127,13 +210,10 @@ export class ChartManager {
             fontWeight: "600"
         }));
 
-        // Set X-axis date range (validity period range)
-        this.xAxis.set("min", new Date(2025, 8, 23).getTime()); // Sept 23, 2025
-        this.xAxis.set("max", new Date(2026, 8, 23).getTime()); // Sept 23, 2026
-
         // Create Y-axis (Date axis for publication dates)
         this.yAxis = this.chart.yAxes.push(am5xy.DateAxis.new(this.root, {
-            baseInterval: { timeUnit: "day", count: 1 },
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
             renderer: am5xy.AxisRendererY.new(this.root, {})
         }));
         // Axis title (Y)
@@ -144,10 +224,137 @@ export class ChartManager {
             centerY: am5.p50,
             fontWeight: "600"
         }));
+    }
+
+    /**
+     * Overview scrollbars below and to the right of the plot, each with a minimap of all columns
+     */
+    createScrollbars() {
+        const scrollbarX = am5xy.XYChartScrollbar.new(this.root, { orientation: "horizontal", height: 50 });
+        this.chart.set("scrollbarX", scrollbarX);
+        this.chart.bottomAxesContainer.children.push(scrollbarX);
+
+        const scrollbarY = am5xy.XYChartScrollbar.new(this.root, { orientation: "vertical", width: 50 });
+        this.chart.set("scrollbarY", scrollbarY);
+        this.chart.rightAxesContainer.children.push(scrollbarY);
+
+        this.minimaps = [scrollbarX, scrollbarY].map(scrollbar => this.createMinimap(scrollbar));
+    }
+
+    /**
+     * Axes and a thin column series inside a scrollbar's chart, mirroring the main chart
+     */
+    createMinimap(scrollbar) {
+        const hideLabels = (renderer) => {
+            renderer.labels.template.set("forceHidden", true);
+            renderer.grid.template.set("forceHidden", true);
+            return renderer;
+        };
+        const xAxis = scrollbar.chart.xAxes.push(am5xy.DateAxis.new(this.root, {
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
+            renderer: hideLabels(am5xy.AxisRendererX.new(this.root, {}))
+        }));
+        const yAxis = scrollbar.chart.yAxes.push(am5xy.DateAxis.new(this.root, {
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
+            renderer: hideLabels(am5xy.AxisRendererY.new(this.root, {}))
+        }));
+        const series = scrollbar.chart.series.push(am5xy.ColumnSeries.new(this.root, {
+            xAxis,
+            yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "publishDate"
+        }));
+        series.columns.template.setAll({ height: 3, strokeOpacity: 0 });
+        series.columns.template.adapters.add("fill", (fill, target) => {
+            const ctx = (target.dataItem && target.dataItem.dataContext) || {};
+            return am5.color(columnColors(ctx, ctx.version === this._currentValidVersion, this.theme.colors).fill);
+        });
+        return { xAxis, yAxis, series };
+    }
 
-        // Set Y-axis date range (publication date range)
-        this.yAxis.set("min", new Date(2025, 7, 23).getTime()); // Aug 23, 2025
-        this.yAxis.set("max", new Date(2026, 7, 23).getTime()); // Aug 23, 2026
+    /**
+     * Show all of both axes again
+     */
+    resetZoom() {
+        if (this.xAxis) this.xAxis.zoom(0, 1);
+        if (this.yAxis) this.yAxis.zoom(0, 1);
+    }
+
+    /**
+     * Pan mode: dragging the plot moves the view, columns and date lines stay put.
+     * Outside pan mode they can be dragged and the view is moved with the wheel and scrollbars.
+     */
+    setPanMode(enabled) {
+        this.panMode = !!enabled;
+        this.chart.setAll({ panX: this.panMode, panY: this.panMode });
+        this.setDragEnabled(!this.panMode);
+        if (this.purchaseDateShading) this.purchaseDateShading.setDraggable(!this.panMode);
+        if (this.travelDateLine) this.travelDateLine.setDraggable(!this.panMode);
+    }
+
+    /**
+     * Current axis bounds, or null before they are set
+     */
+    getAxisBounds() {
+        if (!this.xAxis || !Number.isFinite(this.xAxis.get('min'))) return null;
+        return {
+            x: { min: this.xAxis.get('min'), max: this.xAxis.get('max') },
+            y: { min: this.yAxis.get('min'), max: this.yAxis.get('max') }
+        };
+    }
+
+    /**
+     * Recompute the axis bounds from the versions and the purchase/travel/return dates.
+     * Normally the axes only grow, so the chart does not jump while versions are edited;
+     * with fit they are shrunk to the data as well.
+     * @param {{fit?:boolean, data?:Array<Object>}} [options] - data defaults to chartData
+     * @returns {boolean} Whether the bounds changed (overlays drawn over the full range then need a refresh)
+     */
+    updateAxisBounds({ fit = false, data = this.chartData } = {}) {
+        if (!this.xAxis || !this.yAxis) return false;
+        const current = this.getAxisBounds();
+        const target = computeAxisBounds(this.compareSet ? data.concat(this.compareSet.versions) : data, {
+            purchaseDate: this.purchaseDate,
+            travelDate: this.travelDate,
+            returnDate: this.returnDate,
+            timeZone: this.timeZone
+        });
+        const next = fit ? target : unionBounds(current, target);
+        if (sameBounds(current, next)) return false;
+
+        this.xAxis.setAll({ min: next.x.min, max: next.x.max });
+        this.yAxis.setAll({ min: next.y.min, max: next.y.max });
+        this.minimaps.forEach(minimap => {
+            minimap.xAxis.setAll({ min: next.x.min, max: next.x.max });
+            minimap.yAxis.setAll({ min: next.y.min, max: next.y.max });
+        });
+
+        // Lines, shading and the trip band span the whole axis
+        if (this.purchaseDateShading) this.purchaseDateShading.updateVisuals();
+        if (this.travelDateLine) this.travelDateLine.updateTravelDate(this.travelDate);
+        if (this.tripBand) this.tripBand.updateSegments(this.tripBand.segments);
+        if (this.compareChart) this.compareChart.setBounds(next);
+        return true;
+    }
+
+    /**
+     * Shrink or grow the axes to fit the data and the current dates, and zoom out fully
+     */
+    fitToData() {
+        if (this.updateAxisBounds({ fit: true })) this.refreshRangeOverlays();
+        this.resetZoom();
+    }
+
+    /**
+     * Recompute the overlays that cover the visible purchase × travel range
+     */
+    refreshRangeOverlays() {
+        this.refreshDecisionMap();
+        this.scheduleCoverageAnalysis();
+        this.scheduleScenarioDiff();
     }
 
     /**
@@ -162,7 +369,7 @@ export class ChartManager {
             openValueXField: "open",
             valueYField: "publishDate",
             tooltip: am5.Tooltip.new(this.root, {
-                labelText: "Version {version}\nPublished: {publishDateFormatted}\nValid: {validityStartFormatted} - {validityEndFormatted}"
+                labelText: "Version {versionFormatted}\nPublished: {publishDateFormatted}\nValid: {validityStartFormatted} - {validityEndFormatted}\nScope: {dimensionsFormatted}{statusFormatted}{metadataFormatted}"
             })
         }));
 
@@ -170,21 +377,46 @@ export class ChartManager {
         this.series.columns.template.setAll({ height: 20 });
 
         // Attach version labels (extracted module)
-        addVersionLabels(this.root, this.series, () => this._currentValidVersion, { fontSize: 11, minVisibleWidth: 22 });
-
-        // Set up dynamic coloring adapters that determine color based on valid version
-        this.series.columns.template.adapters.add("fill", (fill, target) => {
-            const dataItem = target.dataItem;
-            if (!dataItem) return am5.color('#aeb7e2');
-            const ctx = dataItem.dataContext || {};
-            return ctx.version === this._currentValidVersion ? am5.color('#181C56') : am5.color('#aeb7e2');
-        });
+        addVersionLabels(this.root, this.series, () => this._currentValidVersion, { fontSize: 11, minVisibleWidth: 22, getColors: (ctx) => this.columnStyle(ctx) });
+
+        // Set up dynamic coloring adapters that determine color and line style from the version's resolver role and its own color
+        const colorsFor = (target) => this.columnStyle((target.dataItem && target.dataItem.dataContext) || {});
+        this.series.columns.template.adapters.add("fill", (fill, target) => am5.color(colorsFor(target).fill));
+        this.series.columns.template.adapters.add("stroke", (stroke, target) => am5.color(colorsFor(target).stroke));
+        this.series.columns.template.adapters.add("strokeWidth", (width, target) => colorsFor(target).strokeWidth);
+        this.series.columns.template.adapters.add("fillOpacity", (opacity, target) => colorsFor(target).fillOpacity);
+        this.series.columns.template.adapters.add("strokeDasharray", (dash, target) => colorsFor(target).strokeDasharray);
+    }
 
-        this.series.columns.template.adapters.add("stroke", (stroke, target) => {
-            const dataItem = target.dataItem;
-            if (!dataItem) return am5.color('#aeb7e2');
-            const ctx = dataItem.dataContext || {};
-            return ctx.version === this._currentValidVersion ? am5.color('#181C56') : am5.color('#aeb7e2');
+    /**
+     * Colors and line style of a version's column, from its role in the current resolution
+     * (falls back to valid/not valid before the roles are computed)
+     */
+    columnStyle(version) {
+        const found = this._versionRoles.get(version);
+        const role = found ? found.role : (version.version === this._currentValidVersion ? 'winner' : 'available');
+        return roleColumnStyle(version, role, this.theme.colors);
+    }
+
+    /**
+     * Right-click on a version column dispatches 'versionContextMenu' (instead of the browser menu);
+     * the page decides what to show
+     */
+    initializeContextMenu() {
+        const template = this.series.columns.template;
+        template.events.on("pointerover", (ev) => {
+            this._hoveredVersion = ev.target.dataItem ? ev.target.dataItem.dataContext : null;
+        });
+        template.events.on("pointerout", () => {
+            this._hoveredVersion = null;
+        });
+        this.root.dom.addEventListener('contextmenu', (event) => {
+            const versionIndex = this.chartData.indexOf(this._hoveredVersion);
+            if (versionIndex < 0) return;
+            event.preventDefault();
+            document.dispatchEvent(new CustomEvent('versionContextMenu', {
+                detail: { versionIndex, version: this.chartData[versionIndex], clientX: event.clientX, clientY: event.clientY }
+            }));
         });
     }
 
@@ -201,8 +433,13 @@ export class ChartManager {
                 this.purchaseDate = value;
                 this.updatePurchaseDateForm(new Date(value));
                 this.updateResolvedVersionUI();
+                if (!live) {
+                    this.recordEdit(`Kjøpsdato ${this.formatDate(value)}`);
+                    this.notifyStateChanged();
+                }
             }
         );
+        this.purchaseDateShading.setSnap((ts) => this.snapDate(ts));
     }
 
     /**
@@ -218,8 +455,21 @@ export class ChartManager {
                 this.travelDate = date;
                 this.updateTravelDateForm(new Date(date));
                 this.updateResolvedVersionUI();
+                if (!live) {
+                    this.recordEdit(`Reisedato ${this.formatDate(date)}`);
+                    this.notifyStateChanged();
+                }
             }
         );
+        this.travelDateLine.setSnap((ts) => this.snapDate(ts));
+    }
+
+    /**
+     * Initialize the trip band (hidden until a return date is set)
+     */
+    initializeTripBand() {
+        this.tripBand = new TripBand(this.chart, this.xAxis, this.yAxis);
+        this.tripBand.setVisible(false);
     }
 
     /**
@@ -234,9 +484,12 @@ export class ChartManager {
      */
     updatePurchaseDate(newDate) {
         this.purchaseDate = newDate.getTime();
+        if (this.updateAxisBounds()) this.refreshRangeOverlays();
         if (this.purchaseDateShading) this.purchaseDateShading.updatePurchaseDate(this.purchaseDate);
         this.updatePurchaseDateForm(newDate);
         this.updateResolvedVersionUI();
+        this.recordEdit(`Kjøpsdato ${this.formatDate(this.purchaseDate)}`);
+        this.notifyStateChanged();
     }
 
     /**
@@ -251,10 +504,98 @@ export class ChartManager {
      */
     updateTravelDate(newDate) {
         this.travelDate = newDate.getTime();
+        if (this.updateAxisBounds()) this.refreshRangeOverlays();
         if (this.travelDateLine && this.travelDateLine.getTravelDate() !== this.travelDate) {
             this.travelDateLine.updateTravelDate(this.travelDate);
         }
         this.updateResolvedVersionUI();
+        this.recordEdit(`Reisedato ${this.formatDate(this.travelDate)}`);
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Get the current return date (null when resolving a single travel date)
+     */
+    getReturnDate() {
+        return this.returnDate === null ? null : new Date(this.returnDate);
+    }
+
+    /**
+     * Set or clear the return date; the travel date becomes the departure date of the trip
+     */
+    updateReturnDate(newDate) {
+        this.returnDate = newDate ? newDate.getTime() : null;
+        if (this.updateAxisBounds()) this.refreshRangeOverlays();
+        this.updateResolvedVersionUI();
+        this.recordEdit(this.returnDate === null ? 'Fjernet returdato' : `Returdato ${this.formatDate(this.returnDate)}`);
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Get the trip policy (see TRIP_POLICIES)
+     */
+    getTripPolicy() {
+        return this.tripPolicy;
+    }
+
+    /**
+     * Choose how a trip is resolved: departure decides, per segment or whole trip covered
+     */
+    setTripPolicy(policy) {
+        this.tripPolicy = policy;
+        this.updateResolvedVersionUI();
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Resolve the current trip, or null when no return date is set
+     */
+    resolveTrip() {
+        if (this.returnDate === null) return null;
+        return resolveTrip(this.chartData, this.purchaseDate, this.travelDate, this.returnDate, {
+            ...this.getResolveOptions(),
+            policy: this.tripPolicy
+        });
+    }
+
+    /**
+     * Name of the version that would be highlighted for the given dates (the trip's version when a
+     * return date is given), without changing the chart
+     * @param {{purchaseDate:number, travelDate:number, returnDate?:number|null}} dates
+     * @returns {string|null}
+     */
+    resolveVersionNameAt({ purchaseDate, travelDate, returnDate = null }) {
+        if (returnDate !== null) {
+            const trip = resolveTrip(this.chartData, purchaseDate, travelDate, returnDate, { ...this.getResolveOptions(), policy: this.tripPolicy });
+            const match = trip.match || trip.segments[0].match;
+            return match ? match.version : null;
+        }
+        const result = resolveVersion(this.chartData, purchaseDate, travelDate, this.getResolveOptions());
+        return result.match ? result.match.version : null;
+    }
+
+    /**
+     * Move the date lines for a playback frame. Unlike updatePurchaseDate/updateTravelDate this is
+     * not an edit: nothing is recorded or saved until recordPlaybackPosition, and the date inputs
+     * are left to the caller.
+     * @param {{purchaseDate:number, travelDate:number, returnDate?:number|null}} dates
+     */
+    showPlaybackDates({ purchaseDate, travelDate, returnDate = null }) {
+        this.purchaseDate = purchaseDate;
+        this.travelDate = travelDate;
+        this.returnDate = returnDate;
+        if (this.updateAxisBounds()) this.refreshRangeOverlays();
+        if (this.purchaseDateShading) this.purchaseDateShading.updatePurchaseDate(purchaseDate);
+        if (this.travelDateLine) this.travelDateLine.updateTravelDate(travelDate);
+        this.updateResolvedVersionUI();
+    }
+
+    /**
+     * Keep the dates where playback stopped: one history entry and a saved state
+     */
+    recordPlaybackPosition() {
+        this.recordEdit(`Avspilling: kjøpsdato ${this.formatDate(this.purchaseDate)}, reisedato ${this.formatDate(this.travelDate)}`);
+        this.notifyStateChanged();
     }
 
     /**
@@ -263,10 +604,22 @@ export class ChartManager {
     initializeDragAndDrop() {
         const callbacks = {
             onDragStart: () => {},
-            onDrop: (versionIndex) => {
+            onDragging: () => {
+                if (this.decisionMap) this.decisionMap.scheduleUpdate(() => this.chartData, () => this.getResolveOptions());
+            },
+            onDrop: (versionIndex, version, { oldData }) => {
                 this.updateFormValues(versionIndex);
                 this.setData(this.chartData);
                 this.updateResolvedVersionUI();
+                // Dragging before the publish date moves the publish date too; make that visible in the history
+                const publishMoved = oldData.publishDate !== version.publishDate;
+                this.recordEdit(`Flyttet ${version.version}${publishMoved ? ' (publiseringsdato endret)' : ''}`);
+            },
+            onDropRejected: (versionIndex, version, reason) => {
+                // The column is drawn where it was dropped; redraw it at its restored dates
+                this.setData(this.chartData);
+                this.updateResolvedVersionUI();
+                document.dispatchEvent(new CustomEvent('versionDropRejected', { detail: { version: version.version, reason } }));
             }
         };
         this.dragHandler = new DragAndDropHandler(
@@ -277,31 +630,920 @@ export class ChartManager {
             this.chartData,
             callbacks
         );
+        this.dragHandler.setTimeSettings({ timeZone: this.timeZone, snapUnit: this.snapUnit });
         this.dragHandler.enable();
     }
 
     /**
-     * Set data on axes and series
+     * Set data on axes and series (only versions matching the dimension filter are drawn)
      */
     setData(data) {
-        this.xAxis.data.setAll(data);
-        this.series.data.setAll(data);
+        this.chartData = data;
+        data.forEach(v => this.formatVersionFields(v));
+        // The time zone may have changed
+        if (this.compareSet) this.compareSet.versions.forEach(v => this.formatVersionFields(v));
+        if (this.compareChart) this.compareChart.setTimeZone(this.timeZone);
+        this.updateAxisBounds();
+        const visible = this.getVisibleData();
+        this.xAxis.data.setAll(visible);
+        this.series.data.setAll(visible);
+        this.minimaps.forEach(minimap => minimap.series.data.setAll(visible));
+        if (this.withdrawalMarkers) this.withdrawalMarkers.updateData(visible);
         if (this.dragHandler) this.dragHandler.updateChartData(data);
+        this.refreshDecisionMap();
+        this.scheduleCoverageAnalysis();
+        this.scheduleScenarioDiff();
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Set the display fields (*Formatted) that the tooltips read
+     */
+    formatVersionFields(v) {
+        v.versionFormatted = escapeChartText(v.version);
+        v.publishDateFormatted = this.formatDate(v.publishDate);
+        v.validityStartFormatted = this.formatDate(v.open);
+        v.validityEndFormatted = this.formatDate(v.close);
+        v.dimensionsFormatted = escapeChartText(formatDimensions(v.dimensions));
+        v.withdrawnDateFormatted = v.withdrawnDate ? this.formatDate(v.withdrawnDate) : '';
+        v.metadataFormatted = this.formatMetadata(v);
+    }
+
+    /**
+     * Everything needed to rebuild the chart: versions, dates and UI settings (plain JSON)
+     */
+    getState() {
+        return {
+            versions: this.chartData.map(v => {
+                const plain = { ...v };
+                Object.keys(plain).filter(key => key.endsWith('Formatted')).forEach(key => delete plain[key]);
+                return plain;
+            }),
+            purchaseDate: this.purchaseDate,
+            travelDate: this.travelDate,
+            returnDate: this.returnDate,
+            tripPolicy: this.tripPolicy,
+            strategy: typeof this.strategy === 'string' ? this.strategy : DEFAULT_STRATEGY,
+            dimensionFilter: { ...this.dimensionFilter },
+            timeZone: this.timeZone,
+            snapUnit: this.snapUnit,
+            inclusiveEnd: this.inclusiveEnd
+        };
+    }
+
+    /**
+     * Rebuild the chart from a getState() snapshot
+     */
+    applyState(state) {
+        this.applyStateFields(state);
+        const versions = Array.isArray(state.versions) ? state.versions.map(v => ({ ...v })) : this.chartData;
+        this.updateAxisBounds({ fit: true, data: versions });
+        if (this.root) this.root.timezone = am5.Timezone.new(this.timeZone);
+        if (this.dragHandler) this.dragHandler.setTimeSettings({ timeZone: this.timeZone, snapUnit: this.snapUnit });
+        if (this.purchaseDateShading) this.purchaseDateShading.updatePurchaseDate(this.purchaseDate);
+        if (this.travelDateLine) this.travelDateLine.updateTravelDate(this.travelDate);
+        this.setData(versions);
+        this.updatePurchaseDateForm(new Date(this.purchaseDate));
+        this.updateTravelDateForm(new Date(this.travelDate));
+        this.updateResolvedVersionUI();
+    }
+
+    /**
+     * Copy dates and settings from a state object (missing entries fall back to defaults)
+     */
+    applyStateFields(state = {}) {
+        if (Number.isFinite(state.purchaseDate)) this.purchaseDate = state.purchaseDate;
+        if (Number.isFinite(state.travelDate)) this.travelDate = state.travelDate;
+        this.returnDate = Number.isFinite(state.returnDate) ? state.returnDate : null;
+        this.tripPolicy = TRIP_POLICIES[state.tripPolicy] ? state.tripPolicy : TRIP_POLICIES.PER_SEGMENT;
+        this.strategy = state.strategy || DEFAULT_STRATEGY;
+        this.dimensionFilter = { ...(state.dimensionFilter || {}) };
+        this.timeZone = isValidTimeZone(state.timeZone) ? state.timeZone : DEFAULT_TIME_ZONE;
+        if (state.snapUnit !== undefined) this.snapUnit = state.snapUnit || null;
+        this.inclusiveEnd = state.inclusiveEnd !== false;
+    }
+
+    /**
+     * Tell listeners (autosave, links) that the version set, dates or settings changed
+     */
+    notifyStateChanged() {
+        document.dispatchEvent(new CustomEvent('chartStateChanged'));
+    }
+
+    /**
+     * Run the coverage analysis once the data has stopped changing for a moment
+     */
+    scheduleCoverageAnalysis() {
+        if (this._coverageTimer) clearTimeout(this._coverageTimer);
+        this._coverageTimer = setTimeout(() => {
+            this._coverageTimer = null;
+            this.runCoverageAnalysis();
+        }, COVERAGE_ANALYSIS_DELAY);
+    }
+
+    /**
+     * Lint the visible versions for gaps, overlaps, ties and dead versions, then mark and list the findings
+     */
+    runCoverageAnalysis() {
+        const visible = this.getVisibleData();
+        this.coverageFindings = analyzeCoverage(visible, this.getResolveOptions());
+        if (this.coverageMarkers) this.coverageMarkers.updateFindings(this.coverageFindings.slice(0, MAX_SHOWN_FINDINGS), visible);
+        this.renderCoveragePanel();
+    }
+
+    /**
+     * Get the findings of the last coverage analysis
+     */
+    getCoverageFindings() {
+        return this.coverageFindings;
+    }
+
+    /**
+     * Show or hide coverage markers on the chart
+     */
+    setCoverageMarkersVisible(visible) {
+        if (this.coverageMarkers) this.coverageMarkers.setVisible(visible);
+    }
+
+    /**
+     * Render coverage findings into the side panel
+     */
+    renderCoveragePanel() {
+        const el = document.getElementById('coverage-findings');
+        if (!el) return;
+        if (this.coverageFindings.length === 0) {
+            el.innerHTML = '<div class="coverage-empty">Ingen funn – dekningen ser ren ut.</div>';
+            return;
+        }
+        const labels = { error: 'Feil', warning: 'Advarsel', info: 'Info' };
+        const hidden = this.coverageFindings.length - MAX_SHOWN_FINDINGS;
+        el.innerHTML = this.coverageFindings.slice(0, MAX_SHOWN_FINDINGS).map(finding => `
+            <div class="coverage-finding ${finding.severity}">
+                <span class="coverage-severity">${labels[finding.severity]}</span>
+                <span class="coverage-type">${finding.type}</span>
+                <div>${escapeHtml(finding.message)}</div>
+            </div>
+        `).join('') + (hidden > 0 ? `<div class="coverage-more">… og ${hidden} funn til (ikke vist eller markert)</div>` : '');
+    }
+
+    /**
+     * Show or hide the decision map overlay
+     */
+    setDecisionMapVisible(visible) {
+        if (!this.decisionMap) return;
+        this.decisionMap.setVisible(visible);
+        this.refreshDecisionMap();
+    }
+
+    /**
+     * Recompute the decision map and its legend entries
+     */
+    refreshDecisionMap() {
+        if (!this.decisionMap) return;
+        this.decisionMap.update(this.chartData, this.getResolveOptions());
+        this.renderDecisionMapLegend();
+    }
+
+    /**
+     * Render decision map colors (versions and no-match reasons) into the HTML legend
+     */
+    renderDecisionMapLegend() {
+        const el = document.getElementById('decision-map-legend');
+        if (!el) return;
+        el.innerHTML = this.getDecisionMapLegendItems().map(item =>
+            `<span class="chart-legend-item"><span class="legend-swatch" style="background:${item.color}"></span>${escapeHtml(item.label)}</span>`
+        ).join('');
+    }
+
+    /**
+     * Colors shown in the decision map right now (empty when it is hidden)
+     * @returns {Array<{color:string, label:string}>}
+     */
+    getDecisionMapLegendItems() {
+        if (!this.decisionMap || !this.decisionMap.isVisible()) return [];
+        const keys = new Set(this.decisionMap.getRects().map(r => r.key));
+        const { palette, noMatch } = this.theme.colors;
+        const colors = versionColorMap(this.chartData, palette);
+        return Object.keys(colors)
+            .filter(version => keys.has('v:' + version))
+            .map(version => ({ color: colors[version], label: version }))
+            .concat(Object.keys(noMatch)
+                .filter(reason => keys.has('r:' + reason))
+                .map(reason => ({ color: noMatch[reason], label: NO_MATCH_LABELS[reason] })));
+    }
+
+    /**
+     * Freeze a copy of the version set as the baseline for the scenario diff (default: current data)
+     */
+    setScenarioBaseline(data = this.chartData) {
+        this.scenarioBaseline = data.map(v => ({ ...v }));
+        this.refreshScenarioDiff();
+    }
+
+    /**
+     * Drop the baseline and hide the diff
+     */
+    clearScenarioBaseline() {
+        this.scenarioBaseline = null;
+        this.refreshScenarioDiff();
+    }
+
+    /**
+     * Get the last scenario diff result (null when no baseline is set)
+     */
+    getScenarioDiff() {
+        return this.scenarioDiff;
+    }
+
+    /**
+     * Show or hide the hatched diff regions on the chart
+     */
+    setScenarioDiffVisible(visible) {
+        if (this.scenarioDiffOverlay) this.scenarioDiffOverlay.setVisible(visible);
+    }
+
+    /**
+     * Compare against a second version set (e.g. the current tariff while this one is the proposal).
+     * It is shown as a second chart or as outlines, depending on the compare mode; not part of getState.
+     * @param {Array<Object>} versions
+     * @param {string} name - Shown in the resolved-version panel and above the second chart
+     */
+    setCompareSet(versions, name) {
+        this.compareSet = { name, versions: versions.map(v => ({ ...v })) };
+        this.compareSet.versions.forEach(v => this.formatVersionFields(v));
+        if (this.updateAxisBounds()) this.refreshRangeOverlays();
+        if (this.compareChart) this.compareChart.setTitle(`Sammenligning: ${escapeChartText(name)}`);
+        this.applyCompareMode();
+    }
+
+    /**
+     * Stop comparing
+     */
+    clearCompareSet() {
+        this.compareSet = null;
+        this.applyCompareMode();
+    }
+
+    /**
+     * Get the comparison set ({ name, versions }), or null
+     */
+    getCompareSet() {
+        return this.compareSet;
+    }
+
+    /**
+     * Show the comparison set side by side ('side') or as outlines behind the columns ('ghost')
+     */
+    setCompareMode(mode) {
+        this.compareMode = mode === 'ghost' ? 'ghost' : 'side';
+        this.applyCompareMode();
+    }
+
+    /**
+     * Get the compare mode
+     */
+    getCompareMode() {
+        return this.compareMode;
+    }
+
+    // Create or remove the second chart and the outlines for the current set and mode
+    applyCompareMode() {
+        if (this.compareSet && this.compareMode === 'side') this.showCompareChart();
+        else this.hideCompareChart();
+        if (this.ghostColumns) this.ghostColumns.setVisible(!!this.compareSet && this.compareMode === 'ghost');
+        this.updateResolvedVersionUI();
+    }
+
+    /**
+     * Resolve the comparison set at the current dates and update its chart, outlines and tooltips
+     * @returns {string|null} Resolved-version HTML for the comparison set (null when not comparing)
+     */
+    refreshCompare() {
+        if (!this.compareSet) return null;
+        const versions = this.compareSet.versions;
+        const options = this.getResolveOptions();
+        const result = resolveVersion(versions, this.purchaseDate, this.travelDate, options);
+        const trip = this.returnDate === null ? null : resolveTrip(versions, this.purchaseDate, this.travelDate, this.returnDate, { ...options, policy: this.tripPolicy });
+        const highlighted = trip ? trip.match || trip.segments[0].match : result.match;
+        const roles = highlighted === result.match ? classifyVersions(versions, result, options) : new Map();
+        this.formatVersionStatus(versions, roles);
+
+        const visible = versions.filter(v => matchesDimensions(v, this.dimensionFilter));
+        if (this.ghostColumns) this.ghostColumns.updateData(visible);
+        if (this.compareChart) {
+            this.compareChart.setDates({ purchaseDate: this.purchaseDate, travelDate: this.travelDate });
+            this.compareChart.setData(visible, roles);
+        }
+        return trip ? this.buildTripHtml(trip) : this.buildResolvedHtml(result);
+    }
+
+    // Second chart next to this one, with the same bounds and zoom (kept in step both ways)
+    showCompareChart() {
+        if (this.compareChart || !this.compareContainerId) return;
+        const el = document.getElementById(this.compareContainerId);
+        if (!el) return;
+        el.hidden = false;
+        this.compareChart = new CompareChart(this.compareContainerId, {
+            title: `Sammenligning: ${escapeChartText(this.compareSet.name)}`,
+            onZoom: (zoom) => this.setZoom(zoom)
+        });
+        this.compareChart.initialize({
+            theme: this.theme,
+            timeZone: this.timeZone,
+            bounds: this.getAxisBounds(),
+            purchaseDate: this.purchaseDate,
+            travelDate: this.travelDate
+        });
+        this.compareChart.setZoom(this.getZoom());
+        const follow = () => { if (this.compareChart && !this._settingZoom) this.compareChart.setZoom(this.getZoom()); };
+        this._compareZoomDisposers = [this.xAxis, this.yAxis].flatMap(axis => [axis.on("start", follow), axis.on("end", follow)]);
+    }
+
+    hideCompareChart() {
+        this._compareZoomDisposers.forEach(disposer => disposer.dispose());
+        this._compareZoomDisposers = [];
+        if (!this.compareChart) return;
+        this.compareChart.dispose();
+        this.compareChart = null;
+        const el = document.getElementById(this.compareContainerId);
+        if (el) el.hidden = true;
+    }
+
+    /**
+     * Current zoom of both axes
+     * @returns {{x:{start:number, end:number}, y:{start:number, end:number}}} Axis positions 0..1
+     */
+    getZoom() {
+        return {
+            x: { start: this.xAxis.get('start', 0), end: this.xAxis.get('end', 1) },
+            y: { start: this.yAxis.get('start', 0), end: this.yAxis.get('end', 1) }
+        };
+    }
+
+    /**
+     * Zoom both axes to the given positions (from the comparison chart)
+     */
+    setZoom(zoom) {
+        this._settingZoom = true;
+        try {
+            this.xAxis.setAll({ start: zoom.x.start, end: zoom.x.end });
+            this.yAxis.setAll({ start: zoom.y.start, end: zoom.y.end });
+        } finally {
+            this._settingZoom = false;
+        }
+    }
+
+    /**
+     * Refresh the scenario diff once the data has stopped changing for a moment (nothing to do without a baseline)
+     */
+    scheduleScenarioDiff() {
+        if (!this.scenarioBaseline) return;
+        if (this._scenarioDiffTimer) clearTimeout(this._scenarioDiffTimer);
+        this._scenarioDiffTimer = setTimeout(() => {
+            this._scenarioDiffTimer = null;
+            this.refreshScenarioDiff();
+        }, SCENARIO_DIFF_DELAY);
+    }
+
+    /**
+     * Compare the current data with the baseline over the visible axis ranges, then hatch and list the changes
+     */
+    refreshScenarioDiff() {
+        if (this._scenarioDiffTimer) {
+            clearTimeout(this._scenarioDiffTimer);
+            this._scenarioDiffTimer = null;
+        }
+        if (!this.scenarioBaseline) {
+            this.scenarioDiff = null;
+        } else {
+            this.scenarioDiff = diffScenarios(
+                this.scenarioBaseline,
+                this.chartData,
+                { min: this.yAxis.get('min'), max: this.yAxis.get('max') },
+                { min: this.xAxis.get('min'), max: this.xAxis.get('max') },
+                this.getResolveOptions()
+            );
+            this.scenarioDiff.regions.forEach(r => {
+                r.label = `${escapeChartText(transitionLabel(r))}\nKjøp: ${this.formatDate(r.purchaseStart)} – ${this.formatDate(r.purchaseEnd)}` +
+                    `\nReise: ${this.formatDate(r.travelStart)} – ${this.formatDate(r.travelEnd)}`;
+            });
+        }
+        if (this.scenarioDiffOverlay) {
+            this.scenarioDiffOverlay.updateRegions(this.scenarioDiff ? this.scenarioDiff.regions : [], this.chartData);
+        }
+        this.renderScenarioDiffPanel();
+    }
+
+    /**
+     * Render the diff summary and region table
+     */
+    renderScenarioDiffPanel() {
+        const summaryEl = document.getElementById('scenario-diff-summary');
+        const resultsEl = document.getElementById('scenario-diff-results');
+        if (!summaryEl || !resultsEl) return;
+        const diff = this.scenarioDiff;
+        if (!diff) {
+            summaryEl.innerHTML = '<div class="diff-hint">Ingen utgangspunkt valgt.</div>';
+            resultsEl.innerHTML = '';
+            return;
+        }
+        if (diff.regions.length === 0) {
+            summaryEl.innerHTML = '<div class="coverage-empty">Ingen bookinger får en annen versjon enn i utgangspunktet.</div>';
+            resultsEl.innerHTML = '';
+            return;
+        }
+        const modeText = diff.mode === 'exact' ? 'eksakt skann' : `stikkprøver (${diff.cells} celler)`;
+        const transitions = Object.keys(diff.transitions)
+            .map(key => `<li>${escapeHtml(key)}: ${diff.transitions[key]} område(r)</li>`).join('');
+        summaryEl.innerHTML = `<div><strong>${diff.regions.length}</strong> område(r) endrer versjon (${modeText})</div><ul>${transitions}</ul>`;
+
+        const fmt = (d) => this.formatDate(d);
+        const rowsHtml = diff.regions.map(r => `
+            <tr>
+                <td>${escapeHtml(r.from ?? 'ingen')}</td>
+                <td>${escapeHtml(r.to ?? 'ingen')}</td>
+                <td>${fmt(r.purchaseStart)} – ${fmt(r.purchaseEnd)}</td>
+                <td>${fmt(r.travelStart)} – ${fmt(r.travelEnd)}</td>
+                <td>${escapeHtml(`${r.from === null ? r.fromReason : ''}${r.to === null ? r.toReason : ''}`)}</td>
+            </tr>
+        `).join('');
+        resultsEl.innerHTML = `
+            <table class="batch-table">
+                <thead>
+                    <tr><th>Fra</th><th>Til</th><th>Kjøpsdato (fra – til)</th><th>Reisedato (fra – til)</th><th>Årsak</th></tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Versions that apply to the current dimension filter (explicitly or through a wildcard)
+     */
+    getVisibleData() {
+        return this.chartData.filter(v => matchesDimensions(v, this.dimensionFilter));
+    }
+
+    /**
+     * Options passed to resolveVersion for the current UI state
+     */
+    getResolveOptions() {
+        return { inclusiveEnd: this.inclusiveEnd, dimensions: this.dimensionFilter, strategy: this.strategy, timeZone: this.timeZone };
+    }
+
+    /**
+     * Get the dataset's time zone
+     */
+    getTimeZone() {
+        return this.timeZone;
+    }
+
+    /**
+     * Read and show the dataset in another time zone. Stored instants are unchanged;
+     * labels, inputs and day boundaries (trip days, coverage gaps) follow the new zone.
+     */
+    setTimeZone(timeZone) {
+        this.timeZone = timeZone || DEFAULT_TIME_ZONE;
+        if (this.root) this.root.timezone = am5.Timezone.new(this.timeZone);
+        if (this.dragHandler) this.dragHandler.setTimeSettings({ timeZone: this.timeZone });
+        this.setData(this.chartData);
+        this.updatePurchaseDateForm(new Date(this.purchaseDate));
+        this.updateTravelDateForm(new Date(this.travelDate));
+        this.updateResolvedVersionUI();
+    }
+
+    /**
+     * Get the unit dragged dates snap to
+     */
+    getSnapUnit() {
+        return this.snapUnit;
+    }
+
+    /**
+     * Snap dragged dates to whole days, hours or minutes (null for no snapping)
+     */
+    setSnapUnit(unit) {
+        this.snapUnit = unit || null;
+        if (this.dragHandler) this.dragHandler.setTimeSettings({ snapUnit: this.snapUnit });
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Round a timestamp to the snap unit in the dataset's time zone
+     */
+    snapDate(ts) {
+        return roundToUnit(ts, this.snapUnit, this.timeZone);
+    }
+
+    /**
+     * Display form of a timestamp in the dataset's time zone (time of day only when not midnight)
+     */
+    formatDate(ts) {
+        return formatInstant(ts, this.timeZone);
+    }
+
+    /**
+     * Get the active precedence strategy (name or comparator function)
+     */
+    getStrategy() {
+        return this.strategy;
+    }
+
+    /**
+     * Switch precedence strategy (see PRECEDENCE_STRATEGIES) or pass a custom comparator
+     */
+    setStrategy(strategy) {
+        this.strategy = strategy || DEFAULT_STRATEGY;
+        this.refreshDecisionMap();
+        this.scheduleCoverageAnalysis();
+        this.scheduleScenarioDiff();
+        this.updateResolvedVersionUI();
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Whether close dates are inclusive
+     */
+    getInclusiveEnd() {
+        return this.inclusiveEnd;
+    }
+
+    /**
+     * Treat close dates as inclusive (valid through the close date) or exclusive
+     */
+    setInclusiveEnd(inclusive) {
+        this.inclusiveEnd = inclusive !== false;
+        this.refreshDecisionMap();
+        this.scheduleCoverageAnalysis();
+        this.scheduleScenarioDiff();
+        this.updateResolvedVersionUI();
+        this.notifyStateChanged();
+    }
+
+    /**
+     * Resolve a list of bookings against the current data and resolver options
+     */
+    resolveBatch(bookings) {
+        return resolveBatch(this.chartData, bookings, this.getResolveOptions());
+    }
+
+    /**
+     * Dimension keys used by the current data (route, market, channel, ...)
+     */
+    getDimensionKeys() {
+        return getDimensionKeys(this.chartData);
+    }
+
+    /**
+     * Explicit values used for a dimension key in the current data
+     */
+    getDimensionValues(key) {
+        return getDimensionValues(this.chartData, key);
+    }
+
+    /**
+     * Get the active dimension filter
+     */
+    getDimensionFilter() {
+        return { ...this.dimensionFilter };
     }
 
     /**
-     * Update version data
+     * Filter the chart and the resolver to one product/market/channel combination
      */
-    updateVersionData(versionIndex, publishDate, startDate, endDate) {
+    setDimensionFilter(filter) {
+        this.dimensionFilter = { ...(filter || {}) };
+        this.setData(this.chartData);
+        this.updateResolvedVersionUI();
+    }
+
+    /**
+     * Current dates, options and resolution, attached to exported files
+     */
+    getExportMetadata() {
+        const result = resolveVersion(this.chartData, this.purchaseDate, this.travelDate, this.getResolveOptions());
+        return {
+            purchaseDate: this.purchaseDate,
+            travelDate: this.travelDate,
+            returnDate: this.returnDate,
+            timeZone: this.timeZone,
+            strategy: typeof this.strategy === 'string' ? this.strategy : 'CUSTOM',
+            resolution: {
+                version: result.match ? result.match.version : null,
+                reason: result.reason,
+                explanation: result.explanation
+            }
+        };
+    }
+
+    /**
+     * Switch the color theme of the chart and every overlay
+     * @param {Object} theme - From chartTheme.resolveTheme
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        if (!this.root) return;
+        this.root.interfaceColors.setAll(this.interfaceColorSettings());
+        this.applyThemeColors();
+        this.renderVersionRoleLegend();
+        if (this.compareChart) this.compareChart.setTheme(theme);
+        // Re-setting the data re-runs the column color adapters
+        [this.series, ...this.minimaps.map(minimap => minimap.series)].forEach(series => series.data.setAll([...series.data.values]));
+        this.refreshRangeOverlays();
+    }
+
+    /**
+     * Get the active theme
+     */
+    getTheme() {
+        return this.theme;
+    }
+
+    // amCharts InterfaceColors settings for the active theme
+    interfaceColorSettings() {
+        const settings = interfaceColorsFor(this.theme);
+        return Object.fromEntries(Object.entries(settings).map(([key, color]) => [key, am5.color(color)]));
+    }
+
+    // Hand the theme colors to the overlay modules (they redraw on their next update)
+    applyThemeColors() {
+        const colors = this.theme.colors;
+        if (this.purchaseDateShading) this.purchaseDateShading.setColor(colors.purchaseLine, colors.pastShade);
+        if (this.travelDateLine) this.travelDateLine.setColor(colors.travelLine);
+        if (this.tripBand) this.tripBand.setColor(colors.travelLine);
+        if (this.withdrawalMarkers) this.withdrawalMarkers.setColor(colors.withdrawn);
+        if (this.coverageMarkers) this.coverageMarkers.setColors(colors.severity);
+        if (this.scenarioDiffOverlay) this.scenarioDiffOverlay.setThemeColors(colors);
+        if (this.decisionMap) this.decisionMap.setThemeColors(colors);
+        if (this.ghostColumns) this.ghostColumns.setColor(colors.diff);
+    }
+
+    /**
+     * Legend entries for what the chart shows right now, for image export
+     * @returns {Array<{label:string, kind:string, color:string}>} kind is 'swatch', 'line', 'hatch' or 'shade'
+     */
+    getLegendEntries() {
+        const colors = this.theme.colors;
+        const entries = this.getVersionRoleLegendItems().map(item =>
+            ({ label: item.label, kind: 'column', color: item.fill, stroke: item.stroke, opacity: item.opacity, dashed: item.dashed }));
+        entries.push(
+            { label: 'Fortid (før kjøpsdato)', kind: 'shade', color: colors.pastShade },
+            { label: 'Kjøpsdato', kind: 'line', color: colors.purchaseLine },
+            { label: 'Reisedato', kind: 'line', color: colors.travelLine },
+            { label: 'Trukket fra salg', kind: 'line', color: colors.withdrawn }
+        );
+        this.getDecisionMapLegendItems().forEach(item => entries.push({ label: item.label, kind: 'swatch', color: item.color }));
+        if (this.coverageMarkers && this.coverageMarkers.isVisible()) {
+            const labels = { error: 'Feil', warning: 'Advarsel', info: 'Info' };
+            const severities = new Set(this.coverageFindings.map(finding => finding.severity));
+            Object.keys(labels).filter(severity => severities.has(severity)).forEach(severity => {
+                entries.push({ label: `Dekningsfunn: ${labels[severity]}`, kind: 'swatch', color: colors.severity[severity] });
+            });
+        }
+        if (this.ghostColumns && this.ghostColumns.isVisible()) {
+            entries.push({ label: `Sammenligning: ${this.compareSet.name}`, kind: 'column', color: colors.background, stroke: colors.diff, opacity: 0, dashed: true });
+        }
+        if (this.scenarioBaseline && this.scenarioDiffOverlay && this.scenarioDiffOverlay.isVisible()) {
+            entries.push({ label: 'Endret mot utgangspunkt', kind: 'hatch', color: colors.diff });
+        }
+        return entries;
+    }
+
+    /**
+     * Everything chartImageExport needs to draw the current view: the chart canvases, the
+     * resolved-version panel text and the legend
+     * @param {Object} [options]
+     * @param {string} [options.title] - Heading above the chart
+     * @returns {Object} Snapshot (see chartImageExport.js)
+     */
+    getImageSnapshot({ title = 'Versjonsoversikt' } = {}) {
+        const dom = this.root.dom;
+        const origin = dom.getBoundingClientRect();
+        const layers = Array.from(dom.querySelectorAll('canvas'))
+            .map(canvas => ({ canvas, rect: canvas.getBoundingClientRect() }))
+            .filter(({ rect }) => rect.width > 0 && rect.height > 0)
+            .map(({ canvas, rect }) => ({
+                canvas,
+                x: rect.left - origin.left,
+                y: rect.top - origin.top,
+                width: rect.width,
+                height: rect.height
+            }));
+
+        const dates = [`Kjøpsdato ${this.formatDate(this.purchaseDate)}`, `Reisedato ${this.formatDate(this.travelDate)}`];
+        if (this.returnDate !== null) dates.push(`Returdato ${this.formatDate(this.returnDate)}`);
+        const resolvedEl = document.getElementById('resolved-version');
+        const lines = resolvedEl ? resolvedEl.innerText.split('\n').map(line => line.trim()).filter(Boolean) : [];
+
+        return {
+            title,
+            subtitle: `Eksportert ${formatInstant(Date.now(), this.timeZone)} · ${dates.join(' · ')} · ${this.timeZone}`,
+            text: lines.map((text, i) => ({ text, bold: i === 0 })),
+            legend: this.getLegendEntries(),
+            colors: { background: this.theme.colors.background, text: this.theme.colors.text, mutedText: this.theme.colors.mutedText },
+            chart: { width: dom.clientWidth, height: dom.clientHeight, layers }
+        };
+    }
+
+    /**
+     * Replace the whole version set (e.g. from an imported file or the data generator). Dimension
+     * filter values that the new data does not use are dropped.
+     * @param {string} [label] - History entry label
+     */
+    importData(versions, label = `Importerte ${versions.length} versjon(er)`) {
+        const keys = getDimensionKeys(versions);
+        const filter = {};
+        Object.keys(this.dimensionFilter).forEach(key => {
+            if (keys.includes(key) && getDimensionValues(versions, key).includes(this.dimensionFilter[key])) {
+                filter[key] = this.dimensionFilter[key];
+            }
+        });
+        this.dimensionFilter = filter;
+        this.updateAxisBounds({ fit: true, data: versions });
+        this.setData(versions);
+        this.updateResolvedVersionUI();
+        this.recordEdit(label);
+    }
+
+    /**
+     * Extra tooltip lines for tags and notes ('' when the version has none)
+     */
+    formatMetadata(version) {
+        const lines = [];
+        if (version.tags && version.tags.length > 0) lines.push(`Tags: ${escapeChartText(version.tags.join(', '))}`);
+        if (version.notes) lines.push(`Notes: ${escapeChartText(version.notes)}`);
+        return lines.map(line => '\n' + line).join('');
+    }
+
+    /**
+     * Change a version's name, notes, tags or color. Renaming also updates `supersedes` references.
+     * @param {number} versionIndex
+     * @param {{version?:string, notes?:string, tags?:string|string[], color?:string|null}} changes
+     * @returns {boolean} false if the new name is empty or used by another version
+     */
+    updateVersionMetadata(versionIndex, changes = {}) {
+        const target = this.chartData[versionIndex];
+        if (!target) return false;
+        const oldName = target.version;
+
+        if (changes.version !== undefined) {
+            const name = String(changes.version).trim();
+            if (!name || this.chartData.some((v, i) => i !== versionIndex && v.version === name)) return false;
+            if (name !== oldName) {
+                target.version = name;
+                this.chartData.forEach(v => {
+                    if (Array.isArray(v.supersedes)) v.supersedes = v.supersedes.map(s => s === oldName ? name : s);
+                    else if (v.supersedes === oldName) v.supersedes = name;
+                });
+            }
+        }
+        if (changes.notes !== undefined) {
+            const notes = String(changes.notes || '').trim();
+            if (notes) target.notes = notes;
+            else delete target.notes;
+        }
+        if (changes.tags !== undefined) {
+            const tags = normalizeTags(changes.tags);
+            if (tags.length > 0) target.tags = tags;
+            else delete target.tags;
+        }
+        if (changes.color !== undefined) {
+            const color = normalizeColor(changes.color);
+            if (color) target.color = color;
+            else delete target.color;
+        }
+
+        this.setData(this.chartData);
+        this.updateResolvedVersionUI();
+        this.recordEdit(target.version !== oldName ? `Ga ${oldName} nytt navn ${target.version}` : `Endret detaljer for ${target.version}`);
+        return true;
+    }
+
+    /**
+     * Add a version valid for 30 days from the travel date, published at the purchase date
+     * (or on its start date if that is earlier). Returns the new index.
+     */
+    addVersion() {
+        const open = startOfDay(this.travelDate, this.timeZone);
+        let n = this.chartData.length + 1;
+        while (this.chartData.some(v => v.version === `v${n}`)) n++;
+        const name = `v${n}`;
+        const version = {
+            category: `Version ${n}`,
+            version: name,
+            publishDate: Math.min(startOfDay(this.purchaseDate, this.timeZone), open),
+            open,
+            close: addCalendarDays(open, 30, this.timeZone)
+        };
+        this.setData([...this.chartData, version]);
+        this.updateResolvedVersionUI();
+        this.recordEdit(`La til ${name}`);
+        return this.chartData.length - 1;
+    }
+
+    /**
+     * Insert a copy of a version right after it. Returns the new index, or -1.
+     */
+    duplicateVersion(versionIndex) {
+        const source = this.chartData[versionIndex];
+        if (!source) return -1;
+        const copy = JSON.parse(JSON.stringify(source));
+        Object.keys(copy).filter(key => key.endsWith('Formatted')).forEach(key => delete copy[key]);
+        copy.version = this.uniqueVersionName(`${source.version}-kopi`);
+        const data = [...this.chartData];
+        data.splice(versionIndex + 1, 0, copy);
+        this.setData(data);
+        this.updateResolvedVersionUI();
+        this.recordEdit(`Dupliserte ${source.version} som ${copy.version}`);
+        return versionIndex + 1;
+    }
+
+    /**
+     * Delete a version. The last remaining version can not be deleted.
+     */
+    removeVersion(versionIndex) {
+        const version = this.chartData[versionIndex];
+        if (!version || this.chartData.length <= 1) return false;
+        this.setData(this.chartData.filter((_, i) => i !== versionIndex));
+        this.updateResolvedVersionUI();
+        this.recordEdit(`Slettet ${version.version}`);
+        return true;
+    }
+
+    /**
+     * "name", or "name2", "name3", ... when another version already uses it
+     */
+    uniqueVersionName(name) {
+        const taken = new Set(this.chartData.map(v => v.version));
+        if (!taken.has(name)) return name;
+        let n = 2;
+        while (taken.has(`${name}${n}`)) n++;
+        return `${name}${n}`;
+    }
+
+    /**
+     * Add the current state to the undo history
+     */
+    recordEdit(label) {
+        this.history.record(label, this.getState());
+    }
+
+    /**
+     * Forget earlier edits; the current state becomes the first history entry
+     */
+    resetHistory(label = 'Start') {
+        this.history.reset(this.getState(), label);
+    }
+
+    /**
+     * History entries for display (see EditHistory.list)
+     */
+    getHistory() {
+        return this.history.list();
+    }
+
+    /**
+     * Undo the last edit. Returns false when there is nothing to undo.
+     */
+    undo() {
+        const state = this.history.undo();
+        if (state) this.applyState(state);
+        return !!state;
+    }
+
+    /**
+     * Redo the last undone edit. Returns false when there is nothing to redo.
+     */
+    redo() {
+        const state = this.history.redo();
+        if (state) this.applyState(state);
+        return !!state;
+    }
+
+    /**
+     * Restore the state of any history entry
+     */
+    jumpToHistory(index) {
+        const state = this.history.jumpTo(index);
+        if (state) this.applyState(state);
+        return !!state;
+    }
+
+    /**
+     * Update version data (withdrawnDate: Date to set, null to clear, undefined to keep)
+     */
+    updateVersionData(versionIndex, publishDate, startDate, endDate, withdrawnDate = undefined) {
         if (this.chartData.length > versionIndex) {
             this.chartData[versionIndex].publishDate = publishDate.getTime();
             this.chartData[versionIndex].open = startDate.getTime();
             this.chartData[versionIndex].close = endDate.getTime();
-            this.chartData[versionIndex].publishDateFormatted = publishDate.toLocaleDateString();
-            this.chartData[versionIndex].validityStartFormatted = startDate.toLocaleDateString();
-            this.chartData[versionIndex].validityEndFormatted = endDate.toLocaleDateString();
+            if (withdrawnDate !== undefined) {
+                this.chartData[versionIndex].withdrawnDate = withdrawnDate ? withdrawnDate.getTime() : null;
+            }
 
             this.setData(this.chartData);
+            this.updateResolvedVersionUI();
+            this.recordEdit(`Endret ${this.chartData[versionIndex].version}`);
         }
     }
 
@@ -344,6 +1586,39 @@ export class ChartManager {
             this.travelDateLine.dispose();
             this.travelDateLine = null;
         }
+        if (this.tripBand) {
+            this.tripBand.dispose();
+            this.tripBand = null;
+        }
+        if (this.withdrawalMarkers) {
+            this.withdrawalMarkers.dispose();
+            this.withdrawalMarkers = null;
+        }
+        if (this.decisionMap) {
+            this.decisionMap.dispose();
+            this.decisionMap = null;
+        }
+        if (this._coverageTimer) {
+            clearTimeout(this._coverageTimer);
+            this._coverageTimer = null;
+        }
+        if (this.coverageMarkers) {
+            this.coverageMarkers.dispose();
+            this.coverageMarkers = null;
+        }
+        if (this._scenarioDiffTimer) {
+            clearTimeout(this._scenarioDiffTimer);
+            this._scenarioDiffTimer = null;
+        }
+        if (this.scenarioDiffOverlay) {
+            this.scenarioDiffOverlay.dispose();
+            this.scenarioDiffOverlay = null;
+        }
+        if (this.ghostColumns) {
+            this.ghostColumns.dispose();
+            this.ghostColumns = null;
+        }
+        this.hideCompareChart();
         if (this.root) {
             this.root.dispose();
         }
@@ -360,10 +1635,10 @@ export class ChartManager {
     }
 
     /**
-     * Convert date to YYYY-MM-DD format for input fields
+     * Convert date to YYYY-MM-DDTHH:mm (datetime-local) in the dataset's time zone
      */
     dateToInputFormat(date) {
-        return date.toISOString().split('T')[0];
+        return formatInputDateTime(date.getTime(), this.timeZone);
     }
 
     /**
@@ -380,35 +1655,155 @@ export class ChartManager {
     updateResolvedVersionUI() {
         const el = document.getElementById('resolved-version');
         if (!el) return;
-        const result = resolveVersion(this.chartData, this.purchaseDate, this.travelDate, { inclusiveEnd: true });
-        let header = '';
+        const trip = this.resolveTrip();
+        if (this.tripBand) {
+            this.tripBand.setVisible(!!trip);
+            this.tripBand.updateSegments(trip ? trip.segments : []);
+        }
+        // Roles are taken at the departure; for a trip only when the departure's winner is the one highlighted
+        const result = resolveVersion(this.chartData, this.purchaseDate, this.travelDate, this.getResolveOptions());
+        let html;
+        let highlighted;
+        if (trip) {
+            html = this.buildTripHtml(trip);
+            highlighted = trip.match || trip.segments[0].match;
+            this.updateVersionStatus(highlighted === result.match ? result : null);
+        } else {
+            html = this.buildResolvedHtml(result);
+            highlighted = result.match;
+            this.updateVersionStatus(result);
+        }
+        const compareHtml = this.refreshCompare();
+        el.innerHTML = compareHtml === null ? html : this.buildCompareHtml(html, compareHtml);
+        this.updateVersionHighlight(highlighted ? highlighted.version : null);
+    }
+
+    /**
+     * Header and explanation for a single resolveVersion result
+     */
+    buildResolvedHtml(result) {
+        const explanationHtml = result.explanation ? `<div style="margin-top:4px;font-size:12px;line-height:1.35;color:var(--vv-muted-text, #555);">${escapeHtml(result.explanation)}</div>` : '';
+        return this.buildResolvedHeader(result) + explanationHtml;
+    }
+
+    /**
+     * This set's and the comparison set's result next to each other
+     */
+    buildCompareHtml(html, compareHtml) {
+        const name = escapeHtml(this.compareSet.name);
+        return `<div class="resolved-compare">` +
+            `<div><div class="resolved-compare-title">Redigert</div>${html}</div>` +
+            `<div><div class="resolved-compare-title">Sammenligning: ${name}</div>${compareHtml}</div>` +
+            `</div>`;
+    }
+
+    /**
+     * Classify the versions by their role in a resolveVersion result (null: no roles) and describe
+     * their status at the current dates, for the column styles, the tooltips and the role legend.
+     * Runs on every date change, also while a date line is dragged; the caller re-sets the series data
+     * afterwards so the tooltips pick up the new text.
+     */
+    updateVersionStatus(result) {
+        this._versionRoles = result ? classifyVersions(this.chartData, result, this.getResolveOptions()) : new Map();
+        this.formatVersionStatus(this.chartData, this._versionRoles);
+        this.renderVersionRoleLegend();
+    }
+
+    /**
+     * Set the tooltip status lines (statusFormatted) of a version set from its roles
+     */
+    formatVersionStatus(versions, roles) {
+        const dates = { purchaseDate: this.purchaseDate, travelDate: this.travelDate, inclusiveEnd: this.inclusiveEnd, timeZone: this.timeZone };
+        versions.forEach(v => {
+            const lines = describeVersionStatus(v, dates);
+            const found = roles.get(v);
+            if (found) lines.push(`${ROLE_LABELS[found.role]}: ${found.reason}`);
+            v.statusFormatted = lines.map(line => '\n' + escapeChartText(line)).join('');
+        });
+    }
+
+    /**
+     * Roles present among the visible versions, with the style of a plain column in that role
+     * @returns {Array<{role:string, label:string, fill:string, stroke:string, opacity:number, dashed:boolean}>}
+     */
+    getVersionRoleLegendItems() {
+        const present = new Set(this.getVisibleData().map(v => (this._versionRoles.get(v) || {}).role));
+        return Object.keys(ROLE_LABELS).filter(role => present.has(role)).map(role => {
+            const style = roleColumnStyle({}, role, this.theme.colors);
+            return { role, label: ROLE_LABELS[role], fill: style.fill, stroke: style.stroke, opacity: style.fillOpacity, dashed: style.strokeDasharray.length > 0 };
+        });
+    }
+
+    /**
+     * Render the version roles into the HTML legend
+     */
+    renderVersionRoleLegend() {
+        const el = document.getElementById('version-role-legend');
+        if (!el) return;
+        el.innerHTML = this.getVersionRoleLegendItems().map(item => {
+            // The faintest role is kept visible against the page background
+            const swatch = `background:${item.fill};opacity:${Math.max(item.opacity, 0.3)};border:1px ${item.dashed ? 'dashed' : 'solid'} ${item.stroke}`;
+            return `<span class="chart-legend-item"><span class="legend-swatch" style="${swatch}"></span>${item.label}</span>`;
+        }).join('');
+    }
+
+    /**
+     * Header line for a single resolveVersion result
+     */
+    buildResolvedHeader(result) {
         if (result.match) {
-            const pub = new Date(result.match.publishDate).toLocaleDateString();
-            header = `Gyldig versjon: <strong>${result.match.version}</strong> (publisert ${pub})`;
+            const pub = this.formatDate(result.match.publishDate);
+            return `Gyldig versjon: <strong>${escapeHtml(result.match.version)}</strong> (publisert ${pub})`;
+        }
+        switch (result.reason) {
+            case 'NO_AVAILABLE_VERSIONS':
+                return 'Gyldig versjon: <strong>Ingen</strong> (ingen versjoner publisert ennå)';
+            case 'NO_VERSION_COVERS_TRAVEL_DATE':
+                return 'Gyldig versjon: <strong>Ingen</strong> (ingen publisert versjon dekker reisedato)';
+            case 'NO_VERSIONS_FOR_DIMENSIONS':
+                return 'Gyldig versjon: <strong>Ingen</strong> (ingen versjoner for valgt produkt/marked/kanal)';
+            case 'VERSION_WITHDRAWN':
+                return 'Gyldig versjon: <strong>Ingen</strong> (versjonen som dekker reisedato er trukket fra salg)';
+            default:
+                return 'Gyldig versjon: <strong>–</strong>';
+        }
+    }
+
+    /**
+     * Header and segment breakdown for a trip result
+     */
+    buildTripHtml(trip) {
+        const policyText = {
+            [TRIP_POLICIES.DEPARTURE]: 'utreisedato avgjør',
+            [TRIP_POLICIES.PER_SEGMENT]: 'per etappe',
+            [TRIP_POLICIES.WHOLE_TRIP]: 'hele reisen må dekkes'
+        }[trip.policy];
+        let header;
+        if (trip.match) {
+            header = `Gyldig versjon: <strong>${escapeHtml(trip.match.version)}</strong> (${policyText})`;
+        } else if (trip.policy === TRIP_POLICIES.PER_SEGMENT && trip.reason === 'OK') {
+            header = `Gyldig versjon: <strong>${escapeHtml(trip.segments.map(s => s.version).join(' → '))}</strong> (${policyText})`;
         } else {
-            switch (result.reason) {
-                case 'NO_AVAILABLE_VERSIONS':
-                    header = 'Gyldig versjon: <strong>Ingen</strong> (ingen versjoner publisert ennå)';
-                    break;
-                case 'NO_VERSION_COVERS_TRAVEL_DATE':
-                    header = 'Gyldig versjon: <strong>Ingen</strong> (ingen publisert versjon dekker reisedato)';
-                    break;
-                default:
-                    header = 'Gyldig versjon: <strong>–</strong>';
-            }
+            header = `Gyldig versjon: <strong>Ingen</strong> (${policyText})`;
         }
-        const explanationHtml = result.explanation ? `<div style="margin-top:4px;font-size:12px;line-height:1.35;color:#555;">${result.explanation}</div>` : '';
-        el.innerHTML = header + explanationHtml;
-        this.updateVersionHighlight(result && result.match ? result.match.version : null);
+        const fmt = (d) => this.formatDate(d);
+        const segmentsHtml = trip.segments.map((segment, i) =>
+            `<li>Etappe ${i + 1}: ${fmt(segment.start)} – ${fmt(segment.end)} → <strong>${escapeHtml(segment.version || 'ingen')}</strong></li>`
+        ).join('');
+        return header +
+            `<div style="margin-top:4px;font-size:12px;line-height:1.35;color:var(--vv-muted-text, #555);">${escapeHtml(trip.explanation)}</div>` +
+            `<ul class="trip-segments">${segmentsHtml}</ul>`;
     }
 
     /**
      * Highlight resolved (valid) version column using adapter-based approach
      */
     updateVersionHighlight(validVersionName) {
+        const changed = validVersionName !== this._currentValidVersion;
         this._currentValidVersion = validVersionName;
         if (!this.series) return;
         const current = this.series.data.values;
         this.series.data.setAll([...current]);
+        if (changed) this.minimaps.forEach(minimap => minimap.series.data.setAll([...minimap.series.data.values]));
     }
 }
@@ -0,0 +1,208 @@
+/**
+ * Chart Theme Module
+ * Color themes for the chart, its overlays and the page around it: light, dark and a color-blind-safe
+ * preset (Okabe–Ito colors), plus a custom theme built from one of them. "auto" follows the
+ * system's prefers-color-scheme.
+ *
+ * Theme shape:
+ *  { name: string, label: string, dark: boolean, colors: Object }  (keys as in LIGHT_COLORS)
+ *
+ * Settings shape (stored in localStorage):
+ *  { preference: 'auto'|'light'|'dark'|'colorblind'|'custom', custom: { base: string, colors: Object } }
+ */
+
+import { normalizeColor, isDarkColor, DEFAULT_COLUMN_COLOR, VALID_COLUMN_COLOR } from './versionStyle.js';
+import { DECISION_MAP_PALETTE, NO_MATCH_COLORS } from './decisionMap.js';
+import { SEVERITY_COLORS } from './coverageMarkers.js';
+
+export const THEME_AUTO = 'auto';
+export const CUSTOM_THEME = 'custom';
+export const DEFAULT_THEME = 'light';
+
+const STORAGE_KEY = 'versionVisualizer.theme';
+
+const LIGHT_COLORS = {
+  page: '#f8f9fa', // page background
+  background: '#ffffff', // chart and panel background
+  border: '#e0e0e0',
+  text: '#333333',
+  mutedText: '#666666',
+  grid: '#000000', // drawn at low opacity by amCharts
+  fill: '#f3f3f3',
+  stroke: '#e5e5e5',
+  button: '#d9d9d9', // scrollbar grips and zoom buttons
+  buttonText: '#000000',
+  column: DEFAULT_COLUMN_COLOR,
+  validColumn: VALID_COLUMN_COLOR,
+  travelLine: '#ff4444',
+  purchaseLine: '#999999',
+  pastShade: '#aaaaaa',
+  withdrawn: '#c62828',
+  diff: '#555555', // scenario diff legend hatch
+  noVersion: '#757575', // scenario diff regions where nothing resolves any more
+  severity: SEVERITY_COLORS,
+  palette: DECISION_MAP_PALETTE,
+  noMatch: NO_MATCH_COLORS
+};
+
+const DARK_COLORS = {
+  page: '#121317',
+  background: '#1e1f24',
+  border: '#3a3c44',
+  text: '#e4e6eb',
+  mutedText: '#a0a4ad',
+  grid: '#ffffff',
+  fill: '#2b2b2b',
+  stroke: '#000000',
+  button: '#3b3b3b',
+  buttonText: '#bbbbbb',
+  column: '#4a5488',
+  validColumn: '#c5cbf5',
+  travelLine: '#ff6b6b',
+  purchaseLine: '#b0b0b0',
+  pastShade: '#000000',
+  withdrawn: '#ef5350',
+  diff: '#bdbdbd',
+  noVersion: '#9e9e9e',
+  severity: { error: '#ef5350', warning: '#ffa726', info: '#42a5f5' },
+  palette: LIGHT_COLORS.palette,
+  noMatch: {
+    NO_AVAILABLE_VERSIONS: '#3a3a3a',
+    NO_VERSION_COVERS_TRAVEL_DATE: '#2e2e2e',
+    VERSION_WITHDRAWN: '#4a4a4a',
+    NO_VERSIONS_FOR_DIMENSIONS: '#262626'
+  }
+};
+
+// Okabe–Ito: the travel date is vermillion and the purchase date blue, so the two lines never
+// depend on telling red from grey
+const COLORBLIND_COLORS = {
+  ...LIGHT_COLORS,
+  column: '#c7d4e8',
+  validColumn: '#0b2e59',
+  travelLine: '#d55e00',
+  purchaseLine: '#0072b2',
+  pastShade: '#999999',
+  withdrawn: '#cc79a7',
+  diff: '#000000',
+  noVersion: '#555555',
+  severity: { error: '#d55e00', warning: '#e69f00', info: '#0072b2' },
+  palette: ['#e69f00', '#56b4e9', '#009e73', '#f0e442', '#0072b2', '#d55e00', '#cc79a7', '#000000']
+};
+
+export const THEME_PRESETS = {
+  light: { label: 'Lys', dark: false, colors: LIGHT_COLORS },
+  dark: { label: 'Mørk', dark: true, colors: DARK_COLORS },
+  colorblind: { label: 'Fargeblindvennlig', dark: false, colors: COLORBLIND_COLORS }
+};
+
+// Colors that can be changed in a custom theme, with their labels in the editor
+export const CUSTOMIZABLE_COLORS = {
+  background: 'Bakgrunn',
+  column: 'Versjon',
+  validColumn: 'Gyldig versjon',
+  travelLine: 'Reisedato',
+  purchaseLine: 'Kjøpsdato',
+  pastShade: 'Fortid',
+  withdrawn: 'Trukket fra salg'
+};
+
+// Page and amCharts interface colors that follow the background when a custom theme turns it dark or light
+const CHROME_KEYS = ['page', 'border', 'text', 'mutedText', 'grid', 'fill', 'stroke', 'button', 'buttonText'];
+
+function preset(name) {
+  const found = THEME_PRESETS[name] || THEME_PRESETS[DEFAULT_THEME];
+  return { name: THEME_PRESETS[name] ? name : DEFAULT_THEME, ...found };
+}
+
+/**
+ * Custom theme: a preset with some colors replaced (invalid colors are ignored). When the
+ * background is changed between dark and light, text and grid colors come from the matching preset.
+ * @param {{base?: string, colors?: Object}} [custom]
+ * @returns {Object} Theme
+ */
+export function createCustomTheme({ base = DEFAULT_THEME, colors = {} } = {}) {
+  const start = preset(base);
+  const merged = { ...start.colors };
+  Object.keys(CUSTOMIZABLE_COLORS).forEach(key => {
+    const color = normalizeColor(colors[key]);
+    if (color) merged[key] = color;
+  });
+  const dark = isDarkColor(merged.background);
+  if (dark !== start.dark) {
+    const chrome = THEME_PRESETS[dark ? 'dark' : 'light'].colors;
+    CHROME_KEYS.forEach(key => { merged[key] = chrome[key]; });
+  }
+  return { name: CUSTOM_THEME, label: 'Egendefinert', dark, colors: merged };
+}
+
+/**
+ * The theme to use for a preference
+ * @param {string} preference - 'auto', a preset name or 'custom'
+ * @param {{prefersDark?: boolean, custom?: Object}} [context] - System dark mode and the saved custom theme
+ * @returns {Object} Theme
+ */
+export function resolveTheme(preference, { prefersDark = false, custom = null } = {}) {
+  if (preference === CUSTOM_THEME) return createCustomTheme(custom || {});
+  if (preference === THEME_AUTO || !THEME_PRESETS[preference]) return preset(prefersDark ? 'dark' : 'light');
+  return preset(preference);
+}
+
+/**
+ * amCharts interface colors (axis labels, grid, tooltips, scrollbars) for a theme
+ * @returns {Object} InterfaceColors settings as "#rrggbb" strings
+ */
+export function interfaceColorsFor(theme) {
+  const c = theme.colors;
+  return {
+    text: c.text,
+    alternativeText: c.background,
+    background: c.background,
+    alternativeBackground: c.text,
+    grid: c.grid,
+    fill: c.fill,
+    stroke: c.stroke,
+    secondaryButton: c.button,
+    secondaryButtonHover: c.button,
+    secondaryButtonDown: c.button,
+    secondaryButtonText: c.buttonText
+  };
+}
+
+/**
+ * CSS custom properties for the page and the HTML legend
+ * @returns {Object} { '--vv-page': '#f8f9fa', ... }
+ */
+export function themeCssVariables(theme) {
+  const c = theme.colors;
+  const keys = ['page', 'background', 'border', 'text', 'mutedText', 'validColumn', 'travelLine', 'purchaseLine', 'pastShade', 'withdrawn', 'diff'];
+  return Object.fromEntries(keys.map(key => ['--vv-' + key.replace(/[A-Z]/g, ch => '-' + ch.toLowerCase()), c[key]]));
+}
+
+/**
+ * Read the saved theme settings
+ */
+export function loadThemeSettings(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+  try {
+    const raw = storage && storage.getItem(STORAGE_KEY);
+    const settings = raw ? JSON.parse(raw) : null;
+    if (settings && typeof settings.preference === 'string') return { custom: null, ...settings };
+  } catch (error) {
+    console.warn("Could not read theme settings:", error);
+  }
+  return { preference: THEME_AUTO, custom: null };
+}
+
+/**
+ * Save the theme settings (returns false when storage is unavailable or full)
+ */
+export function saveThemeSettings(settings, storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+  if (!storage) return false;
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    return true;
+  } catch (error) {
+    console.warn("Could not save theme settings:", error);
+    return false;
+  }
+}
@@ -0,0 +1,243 @@
+/**
+ * Compare Chart Module
+ * A second, read-only chart next to the main one that shows the comparison version set. ChartManager
+ * keeps it in step: same axis bounds, zoom, purchase/travel dates, theme and time zone. Zooming here
+ * is reported through onZoom so the main chart can follow.
+ *
+ * Zoom shape: { x: { start, end }, y: { start, end } }  (axis positions 0..1)
+ */
+
+import { PurchaseDateShading } from './purchaseDateShading.js';
+import { TravelDateLine } from './travelDateLine.js';
+import { addVersionLabels } from './versionLabels.js';
+import { roleColumnStyle } from './versionRoles.js';
+import { interfaceColorsFor } from './chartTheme.js';
+
+// How the comparison set is shown: a second chart, or outlines behind the main chart's columns
+export const COMPARE_MODES = {
+    side: 'Side om side',
+    ghost: 'Omriss bak kolonnene'
+};
+
+export class CompareChart {
+    /**
+     * @param {string} containerId
+     * @param {Object} [options]
+     * @param {string} [options.title] - Shown above the plot
+     * @param {(zoom:Object) => void} [options.onZoom] - The user zoomed or panned this chart
+     */
+    constructor(containerId, { title = '', onZoom = null } = {}) {
+        this.containerId = containerId;
+        this.title = title;
+        this.onZoom = onZoom;
+        this.root = null;
+        this.chart = null;
+        this.xAxis = null;
+        this.yAxis = null;
+        this.series = null;
+        this.titleLabel = null;
+        this.purchaseDateShading = null;
+        this.travelDateLine = null;
+        this.theme = null;
+        this.timeZone = null;
+        this.roles = new Map(); // version object -> { role, reason } (see versionRoles.js)
+        this._syncing = false; // true while setZoom moves the axes, so the change is not reported back
+    }
+
+    /**
+     * Build the chart
+     * @param {Object} settings
+     * @param {Object} settings.theme - See chartTheme.js
+     * @param {string} settings.timeZone
+     * @param {{x:{min:number, max:number}, y:{min:number, max:number}}} settings.bounds
+     * @param {number} settings.purchaseDate
+     * @param {number} settings.travelDate
+     */
+    initialize({ theme, timeZone, bounds, purchaseDate, travelDate }) {
+        this.theme = theme;
+        this.timeZone = timeZone;
+        this.root = am5.Root.new(this.containerId);
+        this.root.setThemes([am5themes_Animated.new(this.root)]);
+        this.root.timezone = am5.Timezone.new(timeZone);
+        this.applyInterfaceColors();
+
+        this.chart = this.root.container.children.push(am5xy.XYChart.new(this.root, {
+            panX: false,
+            panY: false,
+            wheelX: "panX",
+            wheelY: "zoomXY",
+            pinchZoomX: true,
+            pinchZoomY: true,
+            paddingLeft: 55,
+            paddingBottom: 55
+        }));
+        this.titleLabel = this.chart.children.unshift(am5.Label.new(this.root, {
+            text: this.title,
+            x: am5.p50,
+            centerX: am5.p50,
+            fontWeight: "600"
+        }));
+
+        const xRenderer = am5xy.AxisRendererX.new(this.root, { minGridDistance: 50, minorGridEnabled: true });
+        xRenderer.labels.template.setAll({ rotation: -45, centerY: am5.p50, centerX: am5.p100 });
+        this.xAxis = this.chart.xAxes.push(am5xy.DateAxis.new(this.root, {
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
+            renderer: xRenderer
+        }));
+        this.yAxis = this.chart.yAxes.push(am5xy.DateAxis.new(this.root, {
+            baseInterval: { timeUnit: "minute", count: 1 },
+            strictMinMax: true,
+            renderer: am5xy.AxisRendererY.new(this.root, {})
+        }));
+        this.setBounds(bounds);
+
+        this.series = this.chart.series.push(am5xy.ColumnSeries.new(this.root, {
+            name: "Comparison Series",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "publishDate",
+            tooltip: am5.Tooltip.new(this.root, {
+                labelText: "Version {versionFormatted}\nPublished: {publishDateFormatted}\nValid: {validityStartFormatted} - {validityEndFormatted}\nScope: {dimensionsFormatted}{statusFormatted}{metadataFormatted}"
+            })
+        }));
+        this.series.columns.template.setAll({ height: 20 });
+        addVersionLabels(this.root, this.series, () => null, { fontSize: 11, minVisibleWidth: 22, getColors: (ctx) => this.columnStyle(ctx) });
+        const styleFor = (target) => this.columnStyle((target.dataItem && target.dataItem.dataContext) || {});
+        this.series.columns.template.adapters.add("fill", (fill, target) => am5.color(styleFor(target).fill));
+        this.series.columns.template.adapters.add("stroke", (stroke, target) => am5.color(styleFor(target).stroke));
+        this.series.columns.template.adapters.add("strokeWidth", (width, target) => styleFor(target).strokeWidth);
+        this.series.columns.template.adapters.add("fillOpacity", (opacity, target) => styleFor(target).fillOpacity);
+        this.series.columns.template.adapters.add("strokeDasharray", (dash, target) => styleFor(target).strokeDasharray);
+
+        // The dates are set in the main chart; the lines here only follow
+        this.purchaseDateShading = new PurchaseDateShading(this.chart, this.xAxis, this.yAxis, purchaseDate);
+        this.purchaseDateShading.setDraggable(false);
+        this.travelDateLine = new TravelDateLine(this.chart, this.xAxis, this.yAxis, travelDate);
+        this.travelDateLine.setDraggable(false);
+        this.applyThemeColors();
+
+        [this.xAxis, this.yAxis].forEach(axis => {
+            axis.on("start", () => this._zoomed());
+            axis.on("end", () => this._zoomed());
+        });
+    }
+
+    /**
+     * Colors and line style of a column, from the version's role in its own resolution
+     */
+    columnStyle(version) {
+        const found = this.roles.get(version);
+        return roleColumnStyle(version, found ? found.role : 'available', this.theme.colors);
+    }
+
+    /**
+     * Show a version set
+     * @param {Array<Object>} versions - With the *Formatted tooltip fields set
+     * @param {Map<Object, {role:string, reason:string}>} roles - From classifyVersions
+     */
+    setData(versions, roles) {
+        this.roles = roles;
+        if (this.series) this.series.data.setAll(versions);
+    }
+
+    /**
+     * Move the purchase and travel date lines
+     */
+    setDates({ purchaseDate, travelDate }) {
+        if (!this.root) return;
+        if (this.purchaseDateShading.purchaseDate !== purchaseDate) this.purchaseDateShading.updatePurchaseDate(purchaseDate);
+        if (this.travelDateLine.getTravelDate() !== travelDate) this.travelDateLine.updateTravelDate(travelDate);
+    }
+
+    /**
+     * Set the axis ranges (the same as the main chart's, so zoom positions mean the same dates)
+     */
+    setBounds(bounds) {
+        if (!this.xAxis || !bounds) return;
+        this.xAxis.setAll({ min: bounds.x.min, max: bounds.x.max });
+        this.yAxis.setAll({ min: bounds.y.min, max: bounds.y.max });
+        if (this.purchaseDateShading) this.purchaseDateShading.updateVisuals();
+        if (this.travelDateLine) this.travelDateLine.updateTravelDate(this.travelDateLine.getTravelDate());
+    }
+
+    /**
+     * Current zoom of both axes
+     */
+    getZoom() {
+        return {
+            x: { start: this.xAxis.get('start', 0), end: this.xAxis.get('end', 1) },
+            y: { start: this.yAxis.get('start', 0), end: this.yAxis.get('end', 1) }
+        };
+    }
+
+    /**
+     * Zoom both axes without reporting it through onZoom
+     */
+    setZoom(zoom) {
+        if (!this.xAxis) return;
+        this._syncing = true;
+        try {
+            this.xAxis.setAll({ start: zoom.x.start, end: zoom.x.end });
+            this.yAxis.setAll({ start: zoom.y.start, end: zoom.y.end });
+        } finally {
+            this._syncing = false;
+        }
+    }
+
+    /**
+     * Change the heading above the plot
+     */
+    setTitle(title) {
+        this.title = title;
+        if (this.titleLabel) this.titleLabel.set('text', title);
+    }
+
+    /**
+     * Apply a theme from chartTheme.js
+     */
+    setTheme(theme) {
+        this.theme = theme;
+        if (!this.root) return;
+        this.applyInterfaceColors();
+        this.applyThemeColors();
+        this.series.data.setAll([...this.series.data.values]);
+    }
+
+    /**
+     * Show dates in another time zone
+     */
+    setTimeZone(timeZone) {
+        if (!this.root || timeZone === this.timeZone) return;
+        this.timeZone = timeZone;
+        this.root.timezone = am5.Timezone.new(timeZone);
+    }
+
+    applyInterfaceColors() {
+        const settings = interfaceColorsFor(this.theme);
+        this.root.interfaceColors.setAll(Object.fromEntries(Object.entries(settings).map(([key, color]) => [key, am5.color(color)])));
+    }
+
+    applyThemeColors() {
+        const colors = this.theme.colors;
+        this.purchaseDateShading.setColor(colors.purchaseLine, colors.pastShade);
+        this.travelDateLine.setColor(colors.travelLine);
+    }
+
+    /**
+     * Dispose of the chart
+     */
+    dispose() {
+        if (this.root) {
+            this.root.dispose();
+            this.root = null;
+        }
+    }
+
+    _zoomed() {
+        if (this._syncing || typeof this.onZoom !== 'function') return;
+        this.onZoom(this.getZoom());
+    }
+}
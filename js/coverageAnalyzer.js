@@ -0,0 +1,269 @@
+/**
+ * Coverage Analyzer Module
+ * Lints a version set for coverage problems before it ships.
+ *
+ * Finding shape:
+ *  {
+ *    type: 'GAP' | 'OVERLAP' | 'PUBLISH_TIE' | 'START_BEFORE_PUBLISH' | 'NEVER_WINS',
+ *    severity: 'error' | 'warning' | 'info',
+ *    versions: string[],   // affected version names (overlaps are collapsed into groups)
+ *    start: number,        // affected date range (ms), travel/validity time
+ *    end: number,
+ *    message: string
+ *  }
+ */
+
+import { resolveVersion, coverageEnd } from './versionResolver.js';
+import { formatInstant, startOfDay, addCalendarDays } from './timeZone.js';
+import { activeDimensionKeys, dimensionsOverlap, coversDimensions, formatDimensions, getDimensionKeys } from './versionDimensions.js';
+
+export const SEVERITY_ORDER = { error: 0, warning: 1, info: 2 };
+
+/**
+ * Analyze a version set.
+ * @param {Array<Object>} versions - chartData
+ * @param {Object} [options] - ResolveOptions (inclusiveEnd, strategy, dimensions) used for the checks
+ * @returns {Array<Object>} findings, most severe first
+ */
+export function analyzeCoverage(versions, options = {}) {
+  const list = (versions || []).filter(v => isFinite(v.open) && isFinite(v.close));
+  const findings = [
+    ...findGaps(list, options),
+    ...findOverlapsAndTies(list, options),
+    ...findStartBeforePublish(list, options),
+    ...findNeverWins(list, options)
+  ];
+  return findings.sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || a.start - b.start);
+}
+
+/**
+ * Travel dates between the first start and the last end that no version covers. With dimensions,
+ * every scope used by a version is checked on its own, with the versions that apply to all of it.
+ */
+export function findGaps(versions, { inclusiveEnd = true, timeZone } = {}) {
+  const scoped = versions.some(v => activeDimensionKeys(v.dimensions).length > 0);
+  const findings = [];
+  dimensionScopes(versions).forEach(scope => {
+    const covering = versions.filter(v => coversDimensions(v, scope));
+    const scopeText = scoped ? ` for ${formatDimensions(scope)}` : '';
+    findings.push(...findScopeGaps(covering, scopeText, { inclusiveEnd, timeZone }));
+  });
+  return findings;
+}
+
+// Distinct explicit dimension scopes of the versions ({} for versions that apply everywhere)
+function dimensionScopes(versions) {
+  const scopes = new Map();
+  versions.forEach(v => {
+    const keys = activeDimensionKeys(v.dimensions).sort();
+    const scope = Object.fromEntries(keys.map(key => [key, v.dimensions[key]]));
+    const id = JSON.stringify(keys.map(key => [key, [].concat(scope[key]).map(String).sort()]));
+    if (!scopes.has(id)) scopes.set(id, scope);
+  });
+  return [...scopes.values()];
+}
+
+function findScopeGaps(versions, scopeText, { inclusiveEnd, timeZone }) {
+  const sorted = [...versions].sort((a, b) => a.open - b.open);
+  const findings = [];
+  if (sorted.length === 0) return findings;
+
+  const fmt = (d) => formatInstant(d, timeZone);
+  const isMidnight = (ts) => startOfDay(ts, timeZone) === ts;
+  const end = (v) => coverageEnd(v, { inclusiveEnd, timeZone });
+  // First instant not covered so far (an inclusive close at midnight covers the whole day)
+  let coveredUntil = end(sorted[0]);
+  let lastVersion = sorted[0];
+
+  for (const v of sorted.slice(1)) {
+    if (v.open > coveredUntil) {
+      const start = coveredUntil;
+      // A gap of whole days is shown up to the last uncovered day
+      const dayGranular = inclusiveEnd && isMidnight(start) && isMidnight(v.open);
+      const gapEnd = dayGranular ? addCalendarDays(v.open, -1, timeZone) : v.open;
+      findings.push({
+        type: 'GAP',
+        severity: 'warning',
+        versions: [lastVersion.version, v.version],
+        start,
+        end: gapEnd,
+        message: `Ingen versjon dekker reisedatoer ${fmt(start)} – ${fmt(gapEnd)}${scopeText} (mellom ${lastVersion.version} og ${v.version}).`
+      });
+    }
+    if (end(v) > coveredUntil) {
+      coveredUntil = end(v);
+      lastVersion = v;
+    }
+  }
+  return findings;
+}
+/**
+ * Overlapping validity windows of versions that can apply to the same booking (see dimensionsOverlap).
+ * Same publishDate makes it an ambiguous tie. Other overlaps are collapsed: versions that overlap each
+ * other, directly or through a chain, in touching date ranges give one finding.
+ */
+export function findOverlapsAndTies(versions, { inclusiveEnd = true, timeZone } = {}) {
+  const fmt = (d) => formatInstant(d, timeZone);
+  const coverageOptions = { inclusiveEnd, timeZone };
+  const findings = [];
+  const overlaps = [];
+  for (let i = 0; i < versions.length; i++) {
+    for (let j = i + 1; j < versions.length; j++) {
+      const a = versions[i];
+      const b = versions[j];
+      const start = Math.max(a.open, b.open);
+      if (start >= Math.min(coverageEnd(a, coverageOptions), coverageEnd(b, coverageOptions))) continue;
+      const end = Math.max(start, Math.min(a.close, b.close));
+      if (!dimensionsOverlap(a, b)) continue;
+
+      if (a.publishDate === b.publishDate) {
+        findings.push({
+          type: 'PUBLISH_TIE',
+          severity: 'error',
+          versions: [a.version, b.version],
+          start,
+          end,
+          message: `${a.version} og ${b.version} er publisert samme dag (${fmt(a.publishDate)}) og overlapper ${fmt(start)} – ${fmt(end)}; bare tie-break på startdato avgjør.`
+        });
+      } else {
+        overlaps.push({ a: i, b: j, start, end });
+      }
+    }
+  }
+  return findings.concat(collapseOverlaps(versions, overlaps).map(group => ({
+    type: 'OVERLAP',
+    severity: 'info',
+    versions: group.versions.map(v => v.version),
+    start: group.start,
+    end: group.end,
+    message: group.versions.length === 2
+      ? `${group.versions[0].version} og ${group.versions[1].version} overlapper ${fmt(group.start)} – ${fmt(group.end)}.`
+      : `${group.versions.length} versjoner overlapper ${fmt(group.start)} – ${fmt(group.end)}: ${nameList(group.versions)}.`
+  })));
+}
+
+// Merge overlapping pairs into groups: connected through shared versions, and touching in time
+function collapseOverlaps(versions, pairs) {
+  const parent = versions.map((v, i) => i);
+  const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  pairs.forEach(pair => { parent[root(pair.a)] = root(pair.b); });
+
+  const components = new Map();
+  pairs.forEach(pair => {
+    const id = root(pair.a);
+    if (!components.has(id)) components.set(id, []);
+    components.get(id).push(pair);
+  });
+
+  const groups = [];
+  components.forEach(list => {
+    list.sort((x, y) => x.start - y.start);
+    let group = null;
+    list.forEach(pair => {
+      if (group && pair.start <= group.end) {
+        group.end = Math.max(group.end, pair.end);
+      } else {
+        group = { start: pair.start, end: pair.end, members: new Set() };
+        groups.push(group);
+      }
+      group.members.add(pair.a).add(pair.b);
+    });
+  });
+  return groups.map(group => ({
+    start: group.start,
+    end: group.end,
+    versions: [...group.members].sort((x, y) => x - y).map(i => versions[i])
+  }));
+}
+
+// "v1, v2, v3 og 4 til"
+function nameList(versions, max = 3) {
+  const names = versions.map(v => v.version);
+  if (names.length <= max) return `${names.slice(0, -1).join(', ')} og ${names[names.length - 1]}`;
+  return `${names.slice(0, max).join(', ')} og ${names.length - max} til`;
+}
+
+/**
+ * Versions whose validity starts before they are published.
+ */
+export function findStartBeforePublish(versions, { timeZone } = {}) {
+  const fmt = (d) => formatInstant(d, timeZone);
+  return versions
+    .filter(v => v.open < v.publishDate)
+    .map(v => ({
+      type: 'START_BEFORE_PUBLISH',
+      severity: 'warning',
+      versions: [v.version],
+      start: v.open,
+      end: v.publishDate,
+      message: `${v.version} er gyldig fra ${fmt(v.open)}, før den publiseres ${fmt(v.publishDate)}.`
+    }));
+}
+
+/**
+ * Versions the resolver never picks for any purchase/travel pair.
+ * The winner can only change where a competing version is published, withdrawn, opens or closes,
+ * so it is enough to probe those instants instead of scanning every day. A version that no other
+ * version overlaps (in time and dimensions) always wins where it is on sale and is not probed; the others
+ * are resolved against the versions they overlap.
+ * Each version is resolved for bookings in its own dimension scope (see scopeQueries).
+ */
+export function findNeverWins(versions, options = {}) {
+  const resolveOptions = { ...options, explain: false };
+  const dimensionKeys = getDimensionKeys(versions);
+  const end = (v) => coverageEnd(v, options);
+  // Supersedes links can run through versions that are not candidates, so then the whole set is resolved
+  const hasLinks = versions.some(v => v.supersedes && v.supersedes.length > 0);
+
+  return versions
+    .filter(v => {
+      const competitors = versions.filter(o => o !== v && o.open < end(v) && v.open < end(o) && dimensionsOverlap(v, o));
+      if (competitors.length === 0) return false;
+      // In data order, since a full tie goes to the version that comes first
+      const field = hasLinks ? versions : versions.filter(o => o === v || competitors.includes(o));
+
+      const purchaseEvents = [];
+      const travelEvents = [];
+      competitors.forEach(o => {
+        purchaseEvents.push(o.publishDate);
+        if (o.withdrawnDate) purchaseEvents.push(o.withdrawnDate);
+        travelEvents.push(o.open, o.close, o.open - 1, end(o));
+      });
+      const saleEnd = v.withdrawnDate || Infinity;
+      const purchases = [v.publishDate, ...purchaseEvents.filter(p => p > v.publishDate && p < saleEnd)];
+      const travels = [v.open, v.close, ...travelEvents.filter(t => t > v.open && t < end(v))];
+      return !scopeQueries(v, dimensionKeys, options.dimensions).some(dimensions => purchases.some(p => travels.some(t => {
+        const result = resolveVersion(field, p, t, { ...resolveOptions, dimensions });
+        return result.match === v;
+      })));
+    })
+    .map(v => ({
+      type: 'NEVER_WINS',
+      severity: 'warning',
+      versions: [v.version],
+      start: v.open,
+      end: v.close,
+      message: `${v.version} blir aldri valgt av resolveren – andre versjoner vinner alltid i hele gyldighetsperioden.`
+    }));
+}
+
+// Stands for "any other value" in a query, so a wildcard dimension is probed where no explicit version applies
+const OTHER_VALUE = '\u0000annen';
+
+/**
+ * Dimension queries for the bookings a version applies to: one per combination of its explicit values,
+ * other values for the keys it leaves open, and the filter's values where the filter is set
+ */
+function scopeQueries(version, dimensionKeys, filter = {}) {
+  let queries = [{}];
+  dimensionKeys.forEach(key => {
+    const own = version.dimensions ? version.dimensions[key] : undefined;
+    const filtered = filter && filter[key];
+    let values;
+    if (activeDimensionKeys({ [key]: filtered }).length > 0) values = [filtered];
+    else if (activeDimensionKeys({ [key]: own }).length > 0) values = [].concat(own);
+    else values = [OTHER_VALUE];
+    queries = queries.flatMap(query => values.map(value => ({ ...query, [key]: value })));
+  });
+  return queries;
+}
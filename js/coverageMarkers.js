@@ -0,0 +1,109 @@
+/**
+ * Coverage Markers Module
+ * Marks coverage lint findings (see coverageAnalyzer.js) on the chart
+ */
+
+export const SEVERITY_COLORS = {
+    error: '#d32f2f',
+    warning: '#f57c00',
+    info: '#1976d2'
+};
+
+export class CoverageMarkers {
+    constructor(chart, xAxis, yAxis) {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.markerSeries = null;
+        this.colors = SEVERITY_COLORS;
+
+        this.initialize();
+    }
+
+    /**
+     * Create the marker series
+     */
+    initialize() {
+        // Kept behind the version columns so markers never block dragging
+        this.markerSeries = this.chart.series.insertIndex(0, am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Coverage Findings",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "x1",
+            openValueXField: "x0",
+            valueYField: "y1",
+            openValueYField: "y0",
+            fillOpacity: 0.12,
+            strokeWidth: 2,
+            strokeDasharray: [4, 3]
+        }));
+        const template = this.markerSeries.columns.template;
+        template.setAll({ tooltipText: "{message}", fillOpacity: 0.12, strokeOpacity: 0.9 });
+        template.adapters.add("fill", (fill, target) => this._severityColor(target) || fill);
+        template.adapters.add("stroke", (stroke, target) => this._severityColor(target) || stroke);
+    }
+
+    _severityColor(target) {
+        const ctx = target.dataItem && target.dataItem.dataContext;
+        return ctx ? am5.color(this.colors[ctx.severity] || this.colors.info) : null;
+    }
+
+    /**
+     * Draw findings. Gaps span the whole purchase axis; other findings sit at the
+     * publish dates of the affected versions.
+     */
+    updateFindings(findings, versions) {
+        if (!this.markerSeries) return;
+        const pad = 3 * 24 * 60 * 60 * 1000;
+        const yMin = this.yAxis.get('min');
+        const yMax = this.yAxis.get('max');
+        const byName = new Map((versions || []).map(v => [v.version, v]));
+
+        const rects = (findings || []).map(finding => {
+            let y0 = yMin;
+            let y1 = yMax;
+            if (finding.type !== 'GAP') {
+                const publishDates = finding.versions.map(name => byName.get(name)).filter(Boolean).map(v => v.publishDate);
+                if (publishDates.length > 0) {
+                    y0 = Math.min(...publishDates) - pad;
+                    y1 = Math.max(...publishDates) + pad;
+                }
+            }
+            return { x0: finding.start, x1: Math.max(finding.end, finding.start + pad), y0, y1, severity: finding.severity, message: finding.message };
+        });
+        this.markerSeries.data.setAll(rects);
+    }
+
+    /**
+     * Set the colors per severity and redraw the markers
+     * @param {{error:string, warning:string, info:string}} colors
+     */
+    setColors(colors) {
+        this.colors = { ...SEVERITY_COLORS, ...colors };
+        if (this.markerSeries) this.markerSeries.data.setAll([...this.markerSeries.data.values]);
+    }
+
+    /**
+     * Show or hide the markers
+     */
+    setVisible(visible) {
+        if (this.markerSeries) this.markerSeries.set('visible', visible);
+    }
+
+    /**
+     * Whether the markers are shown
+     */
+    isVisible() {
+        return this.markerSeries ? this.markerSeries.get('visible') !== false : false;
+    }
+
+    /**
+     * Dispose of the marker series
+     */
+    dispose() {
+        if (this.markerSeries) {
+            this.markerSeries.dispose();
+            this.markerSeries = null;
+        }
+    }
+}
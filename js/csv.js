@@ -0,0 +1,69 @@
+/**
+ * CSV Module
+ * Minimal CSV reader for booking and version files.
+ * Handles a header row, quoted values ("a, b" and "" escapes) and both ',' and ';' separators
+ * (spreadsheets with Norwegian locale export with ';').
+ */
+
+/**
+ * Guess the separator from the header line.
+ */
+function detectSeparator(headerLine) {
+  const commas = (headerLine.match(/,/g) || []).length;
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  return semicolons > commas ? ';' : ',';
+}
+
+/**
+ * Split CSV text into rows of raw string cells.
+ * @param {string} text
+ * @param {string} [separator]
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text, separator) {
+  const source = String(text || '').replace(/^﻿/, '');
+  const sep = separator || detectSeparator(source.split(/\r?\n/, 1)[0] || '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (inQuotes) {
+      if (ch === '"' && source[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') inQuotes = false;
+      else cell += ch;
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === sep) {
+      row.push(cell); cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell); cell = '';
+      rows.push(row); row = [];
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) { row.push(cell); rows.push(row); }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the (trimmed) header names.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+  const header = rows[0].map(h => h.trim());
+  return rows.slice(1).map(cells => {
+    const obj = {};
+    header.forEach((h, i) => { obj[h] = (cells[i] ?? '').trim(); });
+    return obj;
+  });
+}
@@ -1,31 +1,75 @@
 /**
  * Data Generator Module
- * Generates sample version data for the chart
+ * Generates sample version data for the chart.
+ * With a seed the output is reproducible; presets produce edge cases for the resolver on purpose.
  */
 
+import { createRandom } from './seededRandom.js';
+
+// Named scenarios; versionCount is the default when generateCustomData gets none
+export const DATA_PRESETS = {
+    standard: { label: 'Standard', versionCount: 4 },
+    overlaps: { label: 'Overlappende versjoner', versionCount: 6 },
+    gaps: { label: 'Hull i dekningen', versionCount: 6 },
+    publishTies: { label: 'Samme publiseringsdato', versionCount: 6 },
+    startOnPublish: { label: 'Starter på publiseringsdato', versionCount: 5 },
+    farFuture: { label: 'Publisering langt frem i tid', versionCount: 6 },
+    large: { label: 'Stort sett (240 versjoner)', versionCount: 240 }
+};
+
+export const DEFAULT_PRESET = 'standard';
+
 export class DataGenerator {
-    constructor() {
+    /**
+     * @param {number|string|null} [seed] - Same seed, same data; without a seed Math.random is used
+     */
+    constructor(seed = null) {
         this.startDate = new Date(2025, 8, 23); // Sept 23, 2025
         this.endDate = new Date(2026, 8, 23);   // Sept 23, 2026
         this.totalDays = Math.floor((this.endDate - this.startDate) / (1000 * 60 * 60 * 24));
         this.versionCount = 4;
+        this.preset = DEFAULT_PRESET;
+        this.setSeed(seed);
+    }
+
+    /**
+     * Reseed the generator (null/empty = unseeded Math.random)
+     */
+    setSeed(seed) {
+        this.seed = seed === null || seed === undefined || seed === '' ? null : seed;
+        this.random = this.seed === null ? Math.random : createRandom(this.seed);
     }
 
     /**
-     * Generate sample data for the chart
+     * Generate sample data for the chart using the current preset
      */
     generateData() {
+        switch (this.preset) {
+            case 'overlaps': return this.generateOverlaps();
+            case 'gaps': return this.generateGaps();
+            case 'publishTies': return this.generatePublishTies();
+            case 'startOnPublish': return this.generateStartOnPublish();
+            case 'farFuture': return this.generateFarFuture();
+            case 'large': return this.generateLarge();
+            default: return this.generateStandard();
+        }
+    }
+
+    /**
+     * Versions spread across the year with random publish, start and end dates
+     */
+    generateStandard() {
         const data = [];
 
         for (let i = 0; i < this.versionCount; i++) {
             // Publication date spread across the year
-            let publishDayOffset = Math.floor(i * this.totalDays / (this.versionCount - 1)) + Math.random() * 30 - 15;
+            let publishDayOffset = Math.floor(i * this.totalDays / (this.versionCount - 1)) + this.random() * 30 - 15;
             publishDayOffset = Math.max(0, Math.min(publishDayOffset, this.totalDays - 90));
 
             const publishDate = new Date(this.startDate.getTime() + publishDayOffset * 24 * 60 * 60 * 1000);
 
             // Version start date (must be >= publication date)
-            const versionStartOffset = publishDayOffset + Math.random() * 30;
+            const versionStartOffset = publishDayOffset + this.random() * 30;
             let versionStart = new Date(this.startDate.getTime() + versionStartOffset * 24 * 60 * 60 * 1000);
 
             // Ensure version start is never before publication date
@@ -34,7 +78,7 @@ export class DataGenerator {
             }
 
             // Version end date (must be > start date)
-            const versionDuration = 30 + Math.random() * 90;
+            const versionDuration = 30 + this.random() * 90;
             let versionEnd = new Date(versionStart.getTime() + versionDuration * 24 * 60 * 60 * 1000);
 
             // Ensure we don't exceed chart bounds
@@ -62,16 +106,141 @@ export class DataGenerator {
         return data;
     }
 
+    /**
+     * Validity periods that overlap heavily, with a few equal priorities
+     */
+    generateOverlaps() {
+        const step = this.totalDays / (this.versionCount + 2);
+        return this._build(i => {
+            const open = i * step + this._int(0, 5);
+            return {
+                publish: open - this._int(3, 20),
+                open,
+                close: open + this._int(Math.round(2 * step), Math.round(3 * step)),
+                extra: { priority: this._int(1, 3) }
+            };
+        });
+    }
+
+    /**
+     * Back-to-back versions with gaps between them; every third pair meets exactly (close + 1 day = next open)
+     */
+    generateGaps() {
+        let cursor = 0;
+        return this._build(i => {
+            const open = cursor;
+            const close = open + this._int(20, 50);
+            cursor = close + (i % 3 === 0 ? 1 : this._int(5, 20));
+            return { publish: open - this._int(5, 15), open, close };
+        });
+    }
+
+    /**
+     * Versions published in pairs on the same day with overlapping validity
+     */
+    generatePublishTies() {
+        const step = this.totalDays / (Math.ceil(this.versionCount / 2) + 1);
+        return this._build(i => {
+            const publish = Math.floor(i / 2) * step;
+            const open = publish + this._int(0, 10);
+            return { publish, open, close: open + this._int(30, 60) };
+        });
+    }
+
+    /**
+     * Every version is valid from the moment it is published
+     */
+    generateStartOnPublish() {
+        const step = this.totalDays / (this.versionCount + 1);
+        return this._build(i => {
+            const publish = i * step + this._int(0, 10);
+            return { publish, open: publish, close: publish + this._int(Math.round(step), Math.round(1.5 * step)) };
+        });
+    }
+
+    /**
+     * Half the versions in the normal range, the rest published half a year to two years after it
+     */
+    generateFarFuture() {
+        const near = Math.ceil(this.versionCount / 2);
+        const step = this.totalDays / (near + 1);
+        return this._build(i => {
+            const publish = i < near
+                ? i * step + this._int(0, 10)
+                : this.totalDays + this._int(180, 720);
+            const open = publish + this._int(0, 30);
+            return { publish, open, close: open + this._int(30, 90) };
+        });
+    }
+
+    /**
+     * Many short, randomly placed versions with priorities (performance and clutter)
+     */
+    generateLarge() {
+        return this._build(() => {
+            const publish = this._int(0, this.totalDays - 30);
+            const open = publish + this._int(0, 20);
+            return { publish, open, close: open + this._int(5, 60), extra: { priority: this._int(1, 5) } };
+        });
+    }
+
+    /**
+     * Build versionCount versions from day offsets (relative to startDate), named in publish order
+     * @param {Function} make - (index) => { publish, open, close, extra? }
+     */
+    _build(make) {
+        const rows = [];
+        for (let i = 0; i < this.versionCount; i++) rows.push(make(i));
+        return rows
+            .map(row => ({ ...row, publishDate: this._day(row.publish) }))
+            .sort((a, b) => a.publishDate - b.publishDate)
+            .map((row, i) => {
+                const open = this._day(row.open);
+                const close = this._day(row.close);
+                return {
+                    category: "Version " + (i + 1),
+                    version: "v" + (i + 1),
+                    open,
+                    close,
+                    publishDate: row.publishDate,
+                    ...(row.extra || {}),
+                    publishDateFormatted: new Date(row.publishDate).toLocaleDateString(),
+                    validityStartFormatted: new Date(open).toLocaleDateString(),
+                    validityEndFormatted: new Date(close).toLocaleDateString()
+                };
+            });
+    }
+
+    // Local midnight `offset` whole days after startDate (calendar arithmetic, so DST does not shift the time)
+    _day(offset) {
+        const d = this.startDate;
+        return new Date(d.getFullYear(), d.getMonth(), d.getDate() + Math.round(offset)).getTime();
+    }
+
+    // Random integer in [min, max]
+    _int(min, max) {
+        return min + Math.floor(this.random() * (max - min + 1));
+    }
+
     /**
      * Generate data with custom parameters
+     * @param {Object} [options]
+     * @param {number} [options.versionCount] - Defaults to the preset's count
+     * @param {Date} [options.startDate]
+     * @param {Date} [options.endDate]
+     * @param {number|string|null} [options.seed] - Reseeds the generator when given
+     * @param {string} [options.preset] - Key of DATA_PRESETS
      */
     generateCustomData(options = {}) {
+        const preset = DATA_PRESETS[options.preset] ? options.preset : DEFAULT_PRESET;
         const {
-            versionCount = 4,
+            versionCount = DATA_PRESETS[preset].versionCount,
             startDate = new Date(2025, 8, 23),
             endDate = new Date(2026, 8, 23)
         } = options;
 
+        if (options.seed !== undefined) this.setSeed(options.seed);
+        this.preset = preset;
         this.versionCount = versionCount;
         this.startDate = startDate;
         this.endDate = endDate;
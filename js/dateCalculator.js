@@ -3,38 +3,52 @@
  * Handles date calculations and conversions for drag and drop operations
  */
 
+import { formatInstant, roundToUnit } from './timeZone.js';
+import { valueAtPlotPosition, plotPositionOfValue } from './axisBounds.js';
+
 export class DateCalculator {
-    constructor(xAxis) {
+    constructor(xAxis, { timeZone, snapUnit = 'day' } = {}) {
         this.xAxis = xAxis;
+        this.timeZone = timeZone; // Day boundaries and display use this zone (browser local if unset)
+        this.snapUnit = snapUnit; // 'day' | 'hour' | 'minute' | null
+    }
+
+    /**
+     * Change the time zone and snap unit used for dropped dates
+     */
+    setTimeSettings({ timeZone = this.timeZone, snapUnit = this.snapUnit } = {}) {
+        this.timeZone = timeZone;
+        this.snapUnit = snapUnit;
     }
 
     /**
-     * Convert X position to date using axis interpolation
+     * Format a date for tooltips in the configured time zone
+     * @param {Date|number} date
+     */
+    formatDate(date) {
+        return formatInstant(date instanceof Date ? date.getTime() : date, this.timeZone);
+    }
+
+    /**
+     * Convert X position to date through the axis, snapped to the configured unit.
+     * The axis conversion covers both the data-driven bounds and the current zoom.
      * @param {number} xPosition - The X position on the chart
      * @returns {Date} The calculated date
      */
     positionToDate(xPosition) {
-        // Use axis min/max interpolation for accurate date conversion
-        const axisMin = this.xAxis.get("min"); // Should be Sept 23, 2025 timestamp
-        const axisMax = this.xAxis.get("max"); // Should be Sept 23, 2026 timestamp
-        const axisRange = axisMax - axisMin;
-
         // Use simple axis width approach - more reliable than chart access
         const axisWidth = this.xAxis.width();
 
-        // Calculate position ratio directly
+        // Calculate position ratio across the visible plot area
         const positionRatio = Math.max(0, Math.min(1, xPosition / axisWidth));
 
-        // Interpolate to get the timestamp
-        const newTimestamp = axisMin + (axisRange * positionRatio);
+        // Map the visible position to a timestamp (zoom start/end and min/max included)
+        const newTimestamp = roundToUnit(valueAtPlotPosition(this.xAxis, positionRatio), this.snapUnit, this.timeZone);
         const newDate = new Date(newTimestamp);
 
         console.log("Position to date conversion:", {
             xPosition: xPosition,
-            axisMin: axisMin,
-            axisMax: axisMax,
-            axisMinDate: new Date(axisMin).toLocaleDateString(),
-            axisMaxDate: new Date(axisMax).toLocaleDateString(),
+            zoom: { start: this.xAxis.get("start"), end: this.xAxis.get("end") },
             axisWidth: axisWidth,
             positionRatio: positionRatio,
             newTimestamp: newTimestamp,
@@ -160,9 +174,9 @@ export class DateCalculator {
      */
     getFormattedDates(dateResult) {
         return {
-            validityStartFormatted: dateResult.startDate.toLocaleDateString(),
-            validityEndFormatted: dateResult.endDate.toLocaleDateString(),
-            publishDateFormatted: dateResult.publishDate.toLocaleDateString()
+            validityStartFormatted: this.formatDate(dateResult.startDate),
+            validityEndFormatted: this.formatDate(dateResult.endDate),
+            publishDateFormatted: this.formatDate(dateResult.publishDate)
         };
     }
 
@@ -214,9 +228,9 @@ export class DateCalculator {
             try {
                 const dataItem = target.dataItem;
                 if (dataItem) {
-                    // Try to get the actual X positions for open and close values
-                    const openX = this.xAxis.valueToPosition(dataItem.get("openValueX"));
-                    const closeX = this.xAxis.valueToPosition(dataItem.get("valueX"));
+                    // Try to get the actual X positions for open and close values (relative to the zoomed plot area)
+                    const openX = plotPositionOfValue(this.xAxis, dataItem.get("openValueX"));
+                    const closeX = plotPositionOfValue(this.xAxis, dataItem.get("valueX"));
 
                     if (openX !== undefined && closeX !== undefined) {
                         // Convert position (0-1) to actual pixel coordinates
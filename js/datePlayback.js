@@ -0,0 +1,208 @@
+/**
+ * Date Playback Module
+ * Sweeps the purchase date, the travel date or both across a range, one step at a time, to show how
+ * the resolved version changes as time passes. The transitions (steps where the resolved version
+ * changes) are computed up front so the log is complete and stays the same when scrubbing.
+ *
+ * Frame shape:
+ *  { index: number, date: number, purchaseDate: number, travelDate: number, returnDate: number|null }
+ *  (date is the swept date; in 'both' mode the travel date keeps its distance to the purchase date)
+ *
+ * Transition shape:
+ *  { index: number, date: number, from: string|null, to: string|null }
+ */
+
+import { addCalendarDays } from './timeZone.js';
+
+export const PLAYBACK_MODES = {
+    purchase: 'Kjøpsdato',
+    travel: 'Reisedato',
+    both: 'Begge (fast forhåndstid)'
+};
+
+const MAX_STEPS = 5000; // a range that would need more steps is cut off here
+
+export class DatePlayback {
+    /**
+     * @param {Object} callbacks
+     * @param {(frame:Object) => string|null} callbacks.resolveFrame - Resolved version name for a frame (no side effects)
+     * @param {(frame:Object) => void} callbacks.applyFrame - Show a frame on the chart
+     * @param {() => void} [callbacks.onChange] - Position, playing state or transitions changed
+     * @param {(frame:Object) => void} [callbacks.onSettle] - Playback stopped or was stepped to a frame
+     */
+    constructor({ resolveFrame, applyFrame, onChange = null, onSettle = null }) {
+        this.resolveFrame = resolveFrame;
+        this.applyFrame = applyFrame;
+        this.onChange = onChange;
+        this.onSettle = onSettle;
+        this.settings = null; // { mode, start, end, stepDays, timeZone, purchaseDate, travelDate, returnDate }
+        this.count = 0;
+        this.index = 0;
+        this.speed = 2; // steps per second
+        this.playing = false;
+        this.transitions = [];
+        this._timer = null;
+    }
+
+    /**
+     * Set up a sweep. Stops playback and moves to the first frame without showing it.
+     * @param {Object} settings
+     * @param {'purchase'|'travel'|'both'} settings.mode
+     * @param {number} settings.start - First swept date
+     * @param {number} settings.end - Last swept date (inclusive)
+     * @param {number} [settings.stepDays=1]
+     * @param {string} [settings.timeZone] - Steps are calendar days in this zone
+     * @param {number} settings.purchaseDate - Dates at setup: the one that is not swept stays fixed
+     * @param {number} settings.travelDate
+     * @param {number|null} [settings.returnDate] - Moves with the travel date, so the trip keeps its length
+     */
+    configure(settings) {
+        this._stop();
+        this.settings = { stepDays: 1, returnDate: null, ...settings };
+        const { start, end, stepDays, timeZone } = this.settings;
+        let count = 0;
+        while (count < MAX_STEPS && addCalendarDays(start, count * stepDays, timeZone) <= end) count++;
+        this.count = count;
+        this.index = 0;
+        this.refreshTransitions();
+    }
+
+    /**
+     * Whether a sweep has been set up
+     */
+    isConfigured() {
+        return this.settings !== null && this.count > 0;
+    }
+
+    /**
+     * The frame at a step
+     */
+    frameAt(index) {
+        const { mode, start, stepDays, timeZone, purchaseDate, travelDate, returnDate } = this.settings;
+        const date = addCalendarDays(start, index * stepDays, timeZone);
+        let frame;
+        if (mode === 'purchase') frame = { purchaseDate: date, travelDate };
+        else if (mode === 'travel') frame = { purchaseDate, travelDate: date };
+        else frame = { purchaseDate: date, travelDate: date + (travelDate - purchaseDate) };
+        const shift = frame.travelDate - travelDate;
+        return { index, date, ...frame, returnDate: returnDate === null ? null : returnDate + shift };
+    }
+
+    /**
+     * Recompute the transitions (call when the versions or resolve options change)
+     */
+    refreshTransitions() {
+        this.transitions = [];
+        let previous;
+        for (let i = 0; i < this.count; i++) {
+            const frame = this.frameAt(i);
+            const version = this.resolveFrame(frame);
+            if (i > 0 && version !== previous) this.transitions.push({ index: i, date: frame.date, from: previous, to: version });
+            previous = version;
+        }
+        this._changed();
+    }
+
+    /**
+     * Show a step (scrubbing). Does not change whether playback is running.
+     */
+    seek(index) {
+        if (!this.isConfigured()) return;
+        this.index = Math.max(0, Math.min(this.count - 1, Math.round(index)));
+        this.applyFrame(this.frameAt(this.index));
+        this._changed();
+    }
+
+    /**
+     * Pause and move a number of steps forward (or back with a negative delta)
+     */
+    step(delta = 1) {
+        if (!this.isConfigured()) return;
+        this._stop();
+        this.seek(this.index + delta);
+        this._settled();
+    }
+
+    /**
+     * Start playing from the current step (from the start when at the end)
+     */
+    play() {
+        if (!this.isConfigured() || this.playing) return;
+        if (this.index >= this.count - 1) this.index = 0;
+        this.playing = true;
+        this.seek(this.index);
+        this._schedule();
+    }
+
+    /**
+     * Stop at the current step
+     */
+    pause() {
+        if (this._stop()) this._settled();
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.play();
+    }
+
+    /**
+     * Steps per second
+     */
+    setSpeed(speed) {
+        this.speed = Math.max(0.1, Number(speed) || 1);
+        if (this.playing) {
+            clearTimeout(this._timer);
+            this._schedule();
+        }
+    }
+
+    /**
+     * Current position and the transitions reached so far
+     * @returns {{playing:boolean, index:number, count:number, frame:Object|null, transitions:Array<Object>, reached:number}}
+     */
+    getStatus() {
+        const configured = this.isConfigured();
+        return {
+            playing: this.playing,
+            index: this.index,
+            count: this.count,
+            frame: configured ? this.frameAt(this.index) : null,
+            transitions: this.transitions,
+            reached: this.transitions.filter(t => t.index <= this.index).length
+        };
+    }
+
+    _schedule() {
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            if (!this.playing) return;
+            if (this.index >= this.count - 1) {
+                this.pause();
+                return;
+            }
+            this.seek(this.index + 1);
+            this._schedule();
+        }, 1000 / this.speed);
+    }
+
+    // Stop the timer; returns whether playback was running
+    _stop() {
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+        if (!this.playing) return false;
+        this.playing = false;
+        this._changed();
+        return true;
+    }
+
+    _settled() {
+        if (typeof this.onSettle === 'function') this.onSettle(this.frameAt(this.index));
+    }
+
+    _changed() {
+        if (typeof this.onChange === 'function') this.onChange();
+    }
+}
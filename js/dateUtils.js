@@ -0,0 +1,40 @@
+/**
+ * Date Utilities Module
+ * Parsing of user supplied date values (files, form inputs)
+ */
+
+import { instantFromZonedParts } from './timeZone.js';
+
+/**
+ * Parse a date value from a file or input field.
+ * Accepts timestamps (ms), Date objects, "YYYY-MM-DD[ HH:mm[:ss]]", "DD.MM.YYYY[ HH:mm]" and full ISO strings
+ * with an offset or "Z". Wall-clock values are read in the given time zone (browser local if omitted).
+ * @param {*} value
+ * @param {string} [timeZone] - IANA time zone of the dataset
+ * @returns {number|null} Timestamp in ms, or null if the value can not be parsed
+ */
+export function parseDateValue(value, timeZone) {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.getTime();
+  if (typeof value === 'number') return isFinite(value) ? value : null;
+
+  const text = String(value).trim();
+  let m = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (m) return wallClock(+m[1], +m[2], +m[3], +(m[4] || 0), +(m[5] || 0), timeZone, +(m[6] || 0));
+
+  m = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})(?:\s+(\d{1,2}):(\d{2}))?$/);
+  if (m) return wallClock(+m[3], +m[2], +m[1], +(m[4] || 0), +(m[5] || 0), timeZone);
+
+  if (/^\d+$/.test(text)) return Number(text);
+
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : parsed;
+}
+
+function wallClock(year, month, day, hour, minute, timeZone, second = 0) {
+  // Reject overflow such as 2025-02-31 or 25:00
+  const probe = new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  if (probe.getUTCFullYear() !== year || probe.getUTCMonth() !== month - 1 || probe.getUTCDate() !== day ||
+      probe.getUTCHours() !== hour || probe.getUTCMinutes() !== minute || probe.getUTCSeconds() !== second) return null;
+  return instantFromZonedParts({ year, month, day, hour, minute, second }, timeZone);
+}
@@ -0,0 +1,94 @@
+/**
+ * Decision Map Module
+ * Samples the purchase × travel plane and records which version resolveVersion picks in each cell.
+ * Adjacent cells in a row with the same outcome are merged into one rectangle to keep the overlay light.
+ */
+
+import { resolveVersion } from './versionResolver.js';
+import { normalizeColor } from './versionStyle.js';
+
+// Version colors, assigned in data order
+export const DECISION_MAP_PALETTE = [
+    '#4e79a7', '#f28e2b', '#59a14f', '#e15759', '#76b7b2',
+    '#edc948', '#b07aa1', '#ff9da7', '#9c755f', '#86bcb6'
+];
+
+// Neutral colors for cells where nothing resolves, one per reason
+export const NO_MATCH_COLORS = {
+    NO_AVAILABLE_VERSIONS: '#d9d9d9',
+    NO_VERSION_COVERS_TRAVEL_DATE: '#ececec',
+    VERSION_WITHDRAWN: '#bfbfbf',
+    NO_VERSIONS_FOR_DIMENSIONS: '#f5f5f5'
+};
+
+export const NO_MATCH_LABELS = {
+    NO_AVAILABLE_VERSIONS: 'Ingenting publisert',
+    NO_VERSION_COVERS_TRAVEL_DATE: 'Reisedato ikke dekket',
+    VERSION_WITHDRAWN: 'Trukket fra salg',
+    NO_VERSIONS_FOR_DIMENSIONS: 'Ingen versjoner for filter'
+};
+
+/**
+ * Color for each version name: the version's own color if it has one, otherwise from the palette
+ * (stable for a given data order)
+ * @param {Array<Object>} versions
+ * @param {string[]} [palette] - Theme palette (see chartTheme.js)
+ */
+export function versionColorMap(versions, palette = DECISION_MAP_PALETTE) {
+    const colors = {};
+    (versions || []).forEach((v, i) => {
+        if (!(v.version in colors)) colors[v.version] = normalizeColor(v.color) || palette[i % palette.length];
+    });
+    return colors;
+}
+
+/**
+ * Compute the decision map.
+ * @param {Array<Object>} versions - chartData
+ * @param {{min:number, max:number}} travelRange - x axis range (travel/validity time)
+ * @param {{min:number, max:number}} purchaseRange - y axis range (purchase/publish time)
+ * @param {Object} [options] - ResolveOptions
+ * @param {{columns?:number, rows?:number}} [resolution]
+ * @param {{palette?:string[], noMatch?:Object}} [themeColors] - Version palette and no-match colors
+ * @returns {Array<{x0:number, x1:number, y0:number, y1:number, key:string, version:string|null, reason:string, color:string}>}
+ */
+export function computeDecisionMap(versions, travelRange, purchaseRange, options = {}, resolution = {}, themeColors = {}) {
+    const { columns = 120, rows = 80 } = resolution;
+    const { palette = DECISION_MAP_PALETTE, noMatch = NO_MATCH_COLORS } = themeColors;
+    const cellW = (travelRange.max - travelRange.min) / columns;
+    const cellH = (purchaseRange.max - purchaseRange.min) / rows;
+    if (!(cellW > 0) || !(cellH > 0)) return [];
+
+    const colors = versionColorMap(versions, palette);
+    const rects = [];
+
+    for (let row = 0; row < rows; row++) {
+        const y0 = purchaseRange.min + row * cellH;
+        const purchaseDate = y0 + cellH / 2;
+        let current = null;
+
+        for (let col = 0; col < columns; col++) {
+            const x0 = travelRange.min + col * cellW;
+            const result = resolveVersion(versions, purchaseDate, x0 + cellW / 2, { ...options, explain: false });
+            const version = result.match ? result.match.version : null;
+            const key = version !== null ? 'v:' + version : 'r:' + result.reason;
+
+            if (current && current.key === key) {
+                current.x1 = x0 + cellW;
+                continue;
+            }
+            current = {
+                x0,
+                x1: x0 + cellW,
+                y0,
+                y1: y0 + cellH,
+                key,
+                version,
+                reason: result.reason,
+                color: version !== null ? colors[version] : (noMatch[result.reason] || '#eeeeee')
+            };
+            rects.push(current);
+        }
+    }
+    return rects;
+}
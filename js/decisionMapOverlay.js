@@ -0,0 +1,128 @@
+/**
+ * Decision Map Overlay Module
+ * Colors the purchase × travel plane with the version the resolver would pick (see decisionMap.js).
+ * While a column is dragged the map is redrawn on a coarser grid; the drop redraws it in full.
+ */
+
+import { computeDecisionMap } from './decisionMap.js';
+
+export class DecisionMapOverlay {
+    constructor(chart, xAxis, yAxis, { opacity = 0.35, resolution = {}, dragResolution = { columns: 30, rows: 20 } } = {}) {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.opacity = opacity;
+        this.resolution = resolution; // grid for full updates (see computeDecisionMap)
+        this.dragResolution = dragResolution; // grid for scheduleUpdate while dragging
+        this.mapSeries = null;
+        this.visible = false;
+        this.rects = [];
+        this.themeColors = {}; // { palette, noMatch } from the chart theme
+        this._pendingFrame = null;
+
+        this.initialize();
+    }
+
+    /**
+     * Create the overlay series behind all other series
+     */
+    initialize() {
+        this.mapSeries = am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Decision Map",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "x1",
+            openValueXField: "x0",
+            valueYField: "y1",
+            openValueYField: "y0",
+            fillOpacity: this.opacity,
+            strokeOpacity: 0,
+            visible: this.visible
+        });
+        this.chart.series.insertIndex(0, this.mapSeries);
+
+        this.mapSeries.columns.template.setAll({ interactive: false, strokeOpacity: 0, fillOpacity: this.opacity });
+        this.mapSeries.columns.template.adapters.add("fill", (fill, target) => {
+            const ctx = target.dataItem && target.dataItem.dataContext;
+            return ctx && ctx.color ? am5.color(ctx.color) : fill;
+        });
+    }
+
+    /**
+     * Recompute the map for the given data and resolver options
+     */
+    update(versions, options) {
+        // A full update replaces any coarse one still waiting for its frame
+        if (this._pendingFrame !== null) {
+            cancelAnimationFrame(this._pendingFrame);
+            this._pendingFrame = null;
+        }
+        this._compute(versions, options, this.resolution);
+    }
+
+    /**
+     * Recompute on the coarse drag grid, at most once per animation frame (used while dragging)
+     */
+    scheduleUpdate(getVersions, getOptions) {
+        if (!this.visible || this._pendingFrame !== null) return;
+        this._pendingFrame = requestAnimationFrame(() => {
+            this._pendingFrame = null;
+            this._compute(getVersions(), getOptions(), this.dragResolution);
+        });
+    }
+
+    _compute(versions, options, resolution) {
+        if (!this.mapSeries || !this.visible) return;
+        this.rects = computeDecisionMap(
+            versions,
+            { min: this.xAxis.get('min'), max: this.xAxis.get('max') },
+            { min: this.yAxis.get('min'), max: this.yAxis.get('max') },
+            options,
+            resolution,
+            this.themeColors
+        );
+        this.mapSeries.data.setAll(this.rects);
+    }
+
+    /**
+     * Use theme colors for versions and no-match cells (takes effect on the next update)
+     * @param {{palette?:string[], noMatch?:Object}} themeColors
+     */
+    setThemeColors(themeColors) {
+        this.themeColors = themeColors || {};
+    }
+
+    /**
+     * Get the rectangles of the last computed map
+     */
+    getRects() {
+        return this.rects;
+    }
+
+    /**
+     * Show or hide the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.mapSeries) this.mapSeries.set('visible', visible);
+        if (!visible && this.mapSeries) this.mapSeries.data.setAll([]);
+    }
+
+    /**
+     * Whether the overlay is shown
+     */
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * Dispose of the overlay series
+     */
+    dispose() {
+        if (this._pendingFrame !== null) cancelAnimationFrame(this._pendingFrame);
+        if (this.mapSeries) {
+            this.mapSeries.dispose();
+            this.mapSeries = null;
+        }
+    }
+}
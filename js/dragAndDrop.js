@@ -107,7 +107,8 @@ export class DragAndDropHandler {
             originalData: {
                 open: dataItem.dataContext.open,
                 close: dataItem.dataContext.close,
-                publishDate: dataItem.dataContext.publishDate
+                publishDate: dataItem.dataContext.publishDate,
+                withdrawnDate: dataItem.dataContext.withdrawnDate
             },
             dragStartTime: Date.now()
         };
@@ -146,8 +147,8 @@ export class DragAndDropHandler {
             // Update the data context directly for real-time feedback
             dataItem.dataContext.open = dragResult.startTimestamp;
             dataItem.dataContext.close = dragResult.endTimestamp;
-            dataItem.dataContext.validityStartFormatted = dragResult.startDate.toLocaleDateString();
-            dataItem.dataContext.validityEndFormatted = dragResult.endDate.toLocaleDateString();
+            dataItem.dataContext.validityStartFormatted = this.dateCalculator.formatDate(dragResult.startDate);
+            dataItem.dataContext.validityEndFormatted = this.dateCalculator.formatDate(dragResult.endDate);
 
             // Callback for drag movement
             if (this.callbacks.onDragging) {
@@ -183,6 +184,13 @@ export class DragAndDropHandler {
         const dateResult = this.dateCalculator.calculatePreciseDropDates(target, this.dragState.originalData);
         const formattedDates = this.dateCalculator.getFormattedDates(dateResult);
 
+        // A version must be published before it is withdrawn from sale; put the column back instead
+        const withdrawnDate = this.dragState.originalData.withdrawnDate;
+        if (withdrawnDate !== undefined && withdrawnDate !== null && dateResult.publishTimestamp >= withdrawnDate) {
+            this.rejectDrop(dataItem, `Publiseringsdatoen for ${dataItem.dataContext.version} kan ikke flyttes til etter at den er trukket fra salg (${this.dateCalculator.formatDate(withdrawnDate)}).`);
+            return;
+        }
+
         // Update dataItem.dataContext with calculated values (including potentially updated publish date)
         dataItem.dataContext.open = dateResult.startTimestamp;
         dataItem.dataContext.close = dateResult.endTimestamp;
@@ -191,8 +199,8 @@ export class DragAndDropHandler {
         dataItem.dataContext.validityEndFormatted = formattedDates.validityEndFormatted;
         dataItem.dataContext.publishDateFormatted = formattedDates.publishDateFormatted; // Include formatted publish date
 
-        // Find version index and update global chart data
-        const versionIndex = this.series.dataItems.indexOf(dataItem);
+        // Find version index in the global chart data (the series may only show a filtered subset)
+        const versionIndex = this.chartData.indexOf(dataItem.dataContext);
 
         if (versionIndex >= 0 && this.chartData[versionIndex]) {
             // Use the original data from drag start for true "before" state
@@ -200,9 +208,9 @@ export class DragAndDropHandler {
                 open: this.dragState.originalData.open,
                 close: this.dragState.originalData.close,
                 publishDate: this.dragState.originalData.publishDate,
-                validityStartFormatted: new Date(this.dragState.originalData.open).toLocaleDateString(),
-                validityEndFormatted: new Date(this.dragState.originalData.close).toLocaleDateString(),
-                publishDateFormatted: new Date(this.dragState.originalData.publishDate).toLocaleDateString()
+                validityStartFormatted: this.dateCalculator.formatDate(this.dragState.originalData.open),
+                validityEndFormatted: this.dateCalculator.formatDate(this.dragState.originalData.close),
+                publishDateFormatted: this.dateCalculator.formatDate(this.dragState.originalData.publishDate)
             };
 
             // Update global chart data with the calculated values (including updated publish date)
@@ -260,6 +268,24 @@ export class DragAndDropHandler {
         this.dragState = {};
     }
 
+    /**
+     * Restore the dragged version's dates from drag start and report why the drop was refused
+     */
+    rejectDrop(dataItem, reason) {
+        const original = this.dragState.originalData;
+        const version = dataItem.dataContext;
+        version.open = original.open;
+        version.close = original.close;
+        version.validityStartFormatted = this.dateCalculator.formatDate(original.open);
+        version.validityEndFormatted = this.dateCalculator.formatDate(original.close);
+        console.warn("Drop rejected:", reason);
+        this.dragState = {};
+
+        if (this.callbacks.onDropRejected) {
+            this.callbacks.onDropRejected(this.chartData.indexOf(version), version, reason);
+        }
+    }
+
     constrainYAxis() {
         if (this.dragState.target && this.dragState.originalY !== undefined) {
             const target = this.dragState.target;
@@ -277,6 +303,13 @@ export class DragAndDropHandler {
         console.log("Chart data reference updated, new length:", newChartData.length);
     }
 
+    /**
+     * Time zone and snap unit for dropped dates (see DateCalculator.setTimeSettings)
+     */
+    setTimeSettings(settings) {
+        this.dateCalculator.setTimeSettings(settings);
+    }
+
     /**
      * Get current drag state (useful for debugging)
      */
@@ -0,0 +1,116 @@
+/**
+ * Edit History Module
+ * Undo/redo for chart edits. Every entry is a full chart state (ChartManager.getState) taken right
+ * after an edit, so undoing is restoring the previous entry and any entry can be jumped to directly.
+ * Versions an edit did not change are shared with the previous entry instead of copied, so a long
+ * history of a large version set holds each version once plus the ones that were edited.
+ * Stored states are never modified; callers copy versions before changing them.
+ *
+ * Entry shape:
+ *  { label: string, time: number, state: Object }
+ */
+
+export class EditHistory {
+    constructor({ limit = 100, onChange = null } = {}) {
+        this.limit = limit; // oldest entries are dropped beyond this (the first entry is the baseline)
+        this.onChange = onChange; // () => void, called whenever entries or the position change
+        this.entries = [];
+        this.index = -1;
+    }
+
+    /**
+     * Start over with a single baseline entry (e.g. after opening a scenario)
+     */
+    reset(state, label = 'Start') {
+        this.entries = [{ label, time: Date.now(), state }];
+        this.index = 0;
+        this._changed();
+    }
+
+    /**
+     * Record the state after an edit. Entries after the current position (undone edits) are discarded.
+     */
+    record(label, state) {
+        this.entries = this.entries.slice(0, this.index + 1);
+        const previous = this.entries[this.entries.length - 1];
+        this.entries.push({ label, time: Date.now(), state: previous ? shareVersions(state, previous.state) : state });
+        if (this.entries.length > this.limit) this.entries.splice(0, this.entries.length - this.limit);
+        this.index = this.entries.length - 1;
+        this._changed();
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back; returns the state to restore, or null
+     */
+    undo() {
+        return this.canUndo() ? this.jumpTo(this.index - 1) : null;
+    }
+
+    /**
+     * Step forward; returns the state to restore, or null
+     */
+    redo() {
+        return this.canRedo() ? this.jumpTo(this.index + 1) : null;
+    }
+
+    /**
+     * Move to any entry; returns its state, or null for an invalid index
+     */
+    jumpTo(index) {
+        if (index < 0 || index >= this.entries.length) return null;
+        this.index = index;
+        this._changed();
+        return this.entries[index].state;
+    }
+
+    /**
+     * Entries (oldest first) with a flag for the current one and the ones that would be redone
+     * @returns {Array<{label:string, time:number, current:boolean, undone:boolean}>}
+     */
+    list() {
+        return this.entries.map((entry, i) => ({
+            label: entry.label,
+            time: entry.time,
+            current: i === this.index,
+            undone: i > this.index
+        }));
+    }
+
+    _changed() {
+        if (typeof this.onChange === 'function') this.onChange();
+    }
+}
+
+// JSON of each stored version, computed once per object
+const versionKeys = new WeakMap();
+
+function versionKey(version) {
+    if (!versionKeys.has(version)) versionKeys.set(version, JSON.stringify(version));
+    return versionKeys.get(version);
+}
+
+/**
+ * The state with every version that is unchanged since the previous state replaced by the previous object
+ */
+function shareVersions(state, previousState) {
+    if (!state || !Array.isArray(state.versions) || !previousState || !Array.isArray(previousState.versions)) return state;
+    const previous = new Map(previousState.versions.map(v => [versionKey(v), v]));
+    return {
+        ...state,
+        versions: state.versions.map(v => {
+            const key = JSON.stringify(v);
+            const same = previous.get(key);
+            if (same) return same;
+            versionKeys.set(v, key);
+            return v;
+        })
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * Ghost Columns Module
+ * Draws a second version set (the comparison baseline) as dashed outlines behind the chart's own
+ * columns, so moved, added and removed versions show against where they were
+ */
+
+export class GhostColumns {
+    constructor(chart, xAxis, yAxis, color = '#555555') {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.color = color;
+        this.series = null;
+
+        this.initialize();
+    }
+
+    /**
+     * Create the outline series below the version columns
+     */
+    initialize() {
+        this.series = this.chart.series.push(am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Comparison Ghosts",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "publishDate",
+            visible: false
+        }));
+        this.series.columns.template.setAll({
+            height: 20,
+            fillOpacity: 0,
+            stroke: am5.color(this.color),
+            strokeWidth: 1.5,
+            strokeDasharray: [4, 3],
+            interactive: false
+        });
+        this.series.set("layer", -1);
+    }
+
+    /**
+     * Set the versions to outline
+     */
+    updateData(data) {
+        if (this.series) this.series.data.setAll(data || []);
+    }
+
+    /**
+     * Show or hide the outlines
+     */
+    setVisible(visible) {
+        if (this.series) this.series.set('visible', visible);
+    }
+
+    /**
+     * Whether the outlines are shown
+     */
+    isVisible() {
+        return !!this.series && this.series.get('visible') !== false;
+    }
+
+    /**
+     * Set the outline color
+     */
+    setColor(colorHex) {
+        this.color = colorHex;
+        if (this.series) this.series.columns.template.set('stroke', am5.color(colorHex));
+    }
+
+    /**
+     * Dispose of the series
+     */
+    dispose() {
+        if (this.series) { this.series.dispose(); this.series = null; }
+    }
+}
@@ -0,0 +1,28 @@
+/**
+ * HTML Module
+ * Escaping for user-supplied text (version names, notes, dimension values, file and scenario names)
+ * that is put into innerHTML templates or amCharts labels and tooltips
+ */
+
+/**
+ * Escape text for use in HTML content and double-quoted attribute values
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Escape text for amCharts labels, which read [...] as formatting (brackets are doubled)
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeChartText(value) {
+  return String(value).replace(/\[/g, '[[').replace(/\]/g, ']]');
+}
@@ -6,7 +6,8 @@
  *    value: number (timestamp in ms),
  *    axisMode: 'x' | 'y' | 'both',
  *    color: hex string,
- *    onChange?: (newValue:number, live:boolean) => void
+ *    onChange?: (newValue:number, live:boolean) => void,
+ *    snap?: (value:number) => number   // rounds dragged values, e.g. to whole days in the dataset's time zone
  *  }
  *
  * For axisMode:
@@ -14,8 +15,10 @@
  *  'y' => horizontal line at y=value across full x range (draggable vertically)
  *  'both' => crosshair (two lines) sharing same timestamp value on both axes; dragging moves along x only (can be extended)
  */
+import { valueAtPlotPosition } from './axisBounds.js';
+
 export class InteractiveDateLine {
-  constructor(chart, xAxis, yAxis, { value, axisMode = 'x', color = '#ff4444', onChange = null } = {}) {
+  constructor(chart, xAxis, yAxis, { value, axisMode = 'x', color = '#ff4444', onChange = null, snap = null } = {}) {
     this.chart = chart;
     this.xAxis = xAxis;
     this.yAxis = yAxis;
@@ -23,6 +26,7 @@ export class InteractiveDateLine {
     this.axisMode = axisMode; // 'x' | 'y' | 'both'
     this.color = color;
     this.onChange = onChange;
+    this.snap = snap;
 
     // Series / sprites
     this.verticalSeries = null;   // LineSeries when axisMode includes 'x'
@@ -72,14 +76,11 @@ export class InteractiveDateLine {
     }));
     this.verticalSeries.strokes.template.set('interactive', false);
 
-    let axisMin = 0, axisMax = 0, axisSpan = 0, plotW = 1;
+    let plotW = 1;
     let isDraggingVertical = false; // Flag to prevent interference
 
     tmpl.events.on('dragstart', () => {
       isDraggingVertical = true;
-      axisMin = this.xAxis.get('min');
-      axisMax = this.xAxis.get('max');
-      axisSpan = axisMax - axisMin;
       plotW = this.chart.plotContainer.width() || 1;
     });
 
@@ -89,9 +90,8 @@ export class InteractiveDateLine {
       let xPx = local.x;
       if (xPx < 0) xPx = 0; if (xPx > plotW) xPx = plotW;
       const ratio = plotW === 0 ? 0 : xPx / plotW;
-      let newDate = axisMin + ratio * axisSpan;
-      if (newDate < axisMin) newDate = axisMin;
-      if (newDate > axisMax) newDate = axisMax;
+      // Convert through the axis so the zoom level is respected
+      const newDate = this._snapValue(valueAtPlotPosition(this.xAxis, ratio));
       if (newDate === this.value) return;
 
       this.value = newDate;
@@ -140,11 +140,8 @@ export class InteractiveDateLine {
     }));
     this.horizontalSeries.strokes.template.set('interactive', false);
 
-    let yMin = 0, yMax = 0, ySpan = 0, plotH = 1;
+    let plotH = 1;
     htmpl.events.on('dragstart', () => {
-      yMin = this.yAxis.get('min');
-      yMax = this.yAxis.get('max');
-      ySpan = yMax - yMin;
       plotH = this.chart.plotContainer.height() || 1;
     });
     htmpl.events.on('dragged', (ev) => {
@@ -152,11 +149,9 @@ export class InteractiveDateLine {
       const local = this.chart.plotContainer.toLocal(ev.point);
       let yPx = local.y;
       if (yPx < 0) yPx = 0; if (yPx > plotH) yPx = plotH;
-      // Invert the ratio so dragging up increases date values (future), dragging down decreases (past)
-      const ratio = plotH === 0 ? 0 : (plotH - yPx) / plotH; // bottom->top (inverted)
-      let newDate = yMin + ratio * ySpan;
-      if (newDate < yMin) newDate = yMin;
-      if (newDate > yMax) newDate = yMax;
+      // Ratio from the top; the y axis renderer maps it so dragging up increases date values (future)
+      const ratio = plotH === 0 ? 0 : yPx / plotH;
+      const newDate = this._snapValue(valueAtPlotPosition(this.yAxis, ratio));
       if (newDate === this.value) return;
       this.value = newDate;
       this._updateHorizontalLineOnly();
@@ -172,6 +167,10 @@ export class InteractiveDateLine {
     });
   }
 
+  _snapValue(value) {
+    return typeof this.snap === 'function' ? this.snap(value) : value;
+  }
+
   _updateVerticalLineOnly() {
     if (!this.verticalSeries) return;
     const yMin = this.yAxis.get('min');
@@ -222,6 +221,15 @@ export class InteractiveDateLine {
 
   getValue() { return this.value; }
 
+  setSnap(snap) { this.snap = snap; }
+
+  // Allow or block dragging the line (e.g. while the chart is in pan mode)
+  setDraggable(draggable) {
+    [this.verticalHit, this.horizontalHit].forEach(hit => {
+      if (hit) hit.columns.template.setAll({ draggable, interactive: draggable });
+    });
+  }
+
   setColor(color) {
     this.color = color;
     if (this.verticalSeries) this.verticalSeries.set('stroke', am5.color(color));
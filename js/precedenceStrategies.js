@@ -0,0 +1,142 @@
+/**
+ * precedenceStrategies.js
+ * -------------------------------------------------------------
+ * Formål:
+ *  Regler for hvilken kandidat som vinner når flere tilgjengelige versjoner dekker reisedatoen.
+ *
+ * En strategi er en liste kriterier som prøves i rekkefølge. Hvert kriterium har
+ *  - compare(a, b, ctx): negativt tall hvis a skal vinne over b, positivt hvis b skal vinne, 0 ved likhet
+ *  - describe(winner, loser, timeZone): tekst som forklarer hvorfor vinneren slo taperen på dette kriteriet
+ *
+ * Valg (options.strategy i resolveVersion):
+ *  - navnet på en av PRECEDENCE_STRATEGIES (standard 'LATEST_PUBLISHED')
+ *  - en egen comparator-funksjon (a, b) => number med samme fortegnskonvensjon som compare
+ */
+
+import { formatInstant } from './timeZone.js';
+
+function days(v) { return Math.round((v.close - v.open) / (24 * 60 * 60 * 1000)); }
+
+const CRITERIA = {
+  latestPublished: {
+    id: 'latestPublished',
+    compare: (a, b) => b.publishDate - a.publishDate,
+    describe: (w, l, tz) => `${w.version} er nyere (publisert ${formatInstant(w.publishDate, tz)}, ${l.version} ${formatInstant(l.publishDate, tz)})`
+  },
+  earliestPublished: {
+    id: 'earliestPublished',
+    compare: (a, b) => a.publishDate - b.publishDate,
+    describe: (w, l, tz) => `${w.version} ble publisert først (${formatInstant(w.publishDate, tz)}, ${l.version} ${formatInstant(l.publishDate, tz)})`
+  },
+  latestOpen: {
+    id: 'latestOpen',
+    compare: (a, b) => b.open - a.open,
+    describe: (w, l, tz) => `${w.version} og ${l.version} har lik rangering, men ${w.version} starter senere (${formatInstant(w.open, tz)})`
+  },
+  priority: {
+    id: 'priority',
+    compare: (a, b) => (Number(b.priority) || 0) - (Number(a.priority) || 0),
+    describe: (w, l) => `${w.version} har høyere prioritet (${Number(w.priority) || 0} mot ${Number(l.priority) || 0})`
+  },
+  narrowestWindow: {
+    id: 'narrowestWindow',
+    compare: (a, b) => (a.close - a.open) - (b.close - b.open),
+    describe: (w, l) => `${w.version} har smalere gyldighetsperiode (${days(w)} mot ${days(l)} dager)`
+  },
+  supersedes: {
+    id: 'supersedes',
+    compare: (a, b, ctx) => (ctx.superseded.has(a.version) ? 1 : 0) - (ctx.superseded.has(b.version) ? 1 : 0),
+    describe: (w, l) => `${l.version} er erstattet (supersedes) av en annen kandidat`
+  }
+};
+
+export const PRECEDENCE_STRATEGIES = {
+  LATEST_PUBLISHED: { label: 'Sist publiserte vinner', criteria: [CRITERIA.latestPublished, CRITERIA.latestOpen] },
+  EARLIEST_PUBLISHED: { label: 'Først publiserte vinner', criteria: [CRITERIA.earliestPublished, CRITERIA.latestOpen] },
+  PRIORITY: { label: 'Høyest prioritet vinner', criteria: [CRITERIA.priority, CRITERIA.latestPublished, CRITERIA.latestOpen] },
+  NARROWEST_WINDOW: { label: 'Smaleste gyldighetsperiode vinner', criteria: [CRITERIA.narrowestWindow, CRITERIA.latestPublished, CRITERIA.latestOpen] },
+  SUPERSEDES: { label: 'Eksplisitt erstatning (supersedes)', criteria: [CRITERIA.supersedes, CRITERIA.latestPublished, CRITERIA.latestOpen] }
+};
+
+export const DEFAULT_STRATEGY = 'LATEST_PUBLISHED';
+
+/**
+ * Slå opp strategi fra navn eller comparator-funksjon.
+ * @param {string|Function} [strategy]
+ * @returns {{id:string, label:string, criteria:Array<Object>}}
+ */
+export function getStrategy(strategy) {
+  if (typeof strategy === 'function') {
+    return {
+      id: 'CUSTOM',
+      label: 'Egendefinert regel',
+      criteria: [{ id: 'custom', compare: (a, b) => strategy(a, b), describe: (w, l) => `egendefinert regel rangerer ${w.version} foran ${l.version}` }]
+    };
+  }
+  const id = strategy && PRECEDENCE_STRATEGIES[strategy] ? strategy : DEFAULT_STRATEGY;
+  return { id, ...PRECEDENCE_STRATEGIES[id] };
+}
+
+/**
+ * Alle versjonsnavn som er erstattet (direkte eller transitivt) av en av kandidatene.
+ */
+function supersededBy(candidates, versions) {
+  const links = new Map();
+  for (const v of versions) {
+    const list = v.supersedes ? (Array.isArray(v.supersedes) ? v.supersedes : [v.supersedes]) : [];
+    links.set(v.version, list);
+  }
+  const superseded = new Set();
+  const stack = candidates.flatMap(c => links.get(c.version) || []);
+  while (stack.length > 0) {
+    const name = stack.pop();
+    if (superseded.has(name)) continue;
+    superseded.add(name);
+    stack.push(...(links.get(name) || []));
+  }
+  return superseded;
+}
+
+/**
+ * Velg vinner blant kandidatene.
+ * @param {Array<Object>} candidates - Tilgjengelige versjoner som dekker reisedato (minst én)
+ * @param {string|Function} [strategy]
+ * @param {Array<Object>} [versions] - Hele utvalget (for transitive supersedes-lenker)
+ * @returns {{match:Object, runnerUp:Object|null, strategy:Object, decidedBy:Object|null}}
+ *   decidedBy er kriteriet som skilte vinneren fra nestemann (null ved én kandidat eller full likhet)
+ */
+export function pickWinner(candidates, strategy, versions = candidates) {
+  const resolved = getStrategy(strategy);
+  const ctx = { superseded: supersededBy(candidates, versions) };
+  const compare = (a, b) => {
+    for (const criterion of resolved.criteria) {
+      const diff = criterion.compare(a, b, ctx);
+      if (diff) return diff;
+    }
+    return 0;
+  };
+  const ranked = [...candidates].sort(compare);
+  const match = ranked[0];
+  const runnerUp = ranked[1] || null;
+  const decidedBy = runnerUp ? resolved.criteria.find(c => c.compare(match, runnerUp, ctx) !== 0) || null : null;
+  return { match, runnerUp, strategy: resolved, decidedBy };
+}
+
+/**
+ * Hvorfor en tapende kandidat tapte mot vinneren: beskrivelsen fra første kriterium som skiller dem.
+ * @param {Object} winner
+ * @param {Object} loser
+ * @param {Array<Object>} candidates - Alle kandidatene (for supersedes-lenker)
+ * @param {string|Function} [strategy]
+ * @param {Array<Object>} [versions] - Hele utvalget (for transitive supersedes-lenker)
+ * @param {string} [timeZone] - Tidssone for datoene i teksten
+ * @returns {string}
+ */
+export function describeLoss(winner, loser, candidates, strategy, versions = candidates, timeZone) {
+  const resolved = getStrategy(strategy);
+  const ctx = { superseded: supersededBy(candidates, versions) };
+  const criterion = resolved.criteria.find(c => c.compare(winner, loser, ctx) !== 0);
+  return criterion
+    ? criterion.describe(winner, loser, timeZone)
+    : `${winner.version} og ${loser.version} er like etter regelen, og ${winner.version} kom først`;
+}
@@ -102,6 +102,20 @@ export class PurchaseDateShading {
         this.updateVisuals();
     }
 
+    /**
+     * Round dragged purchase dates with the given function (null for free dragging)
+     */
+    setSnap(snap) {
+        if (this.purchaseDateLine) this.purchaseDateLine.setSnap(snap);
+    }
+
+    /**
+     * Allow or block dragging the purchase date line
+     */
+    setDraggable(draggable) {
+        if (this.purchaseDateLine) this.purchaseDateLine.setDraggable(draggable);
+    }
+
     /**
      * Show or hide the purchase date indicators
      */
@@ -120,14 +134,12 @@ export class PurchaseDateShading {
     }
 
     /**
-     * Set the color of the purchase date indicators
+     * Set the color of the purchase date indicators (the shading can have its own color)
      */
-    setColor(colorHex) {
-        const color = am5.color(colorHex);
-
+    setColor(colorHex, shadeHex = colorHex) {
         if (this.outdatedAreaSeries) {
-            this.outdatedAreaSeries.set('fill', color);
-            this.outdatedAreaSeries.set('stroke', color);
+            this.outdatedAreaSeries.set('fill', am5.color(shadeHex));
+            this.outdatedAreaSeries.set('stroke', am5.color(colorHex));
         }
         if (this.purchaseDateLine) this.purchaseDateLine.setColor(colorHex);
     }
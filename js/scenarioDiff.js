@@ -0,0 +1,133 @@
+/**
+ * Scenario Diff Module
+ * Finds every purchase/travel region where the resolved version differs between a baseline
+ * version set and a modified one.
+ *
+ * The resolver's answer can only change where some version is published, withdrawn, opens or
+ * closes. In 'exact' mode the plane is cut at those instants (from both sets) and each cell is
+ * resolved once, so no change is missed. 'sample' mode resolves a regular grid instead, which
+ * bounds the cost for very large sets; 'auto' picks exact unless the cell count is too high.
+ *
+ * Region shape (ranges are half-open: start included, end excluded):
+ *  {
+ *    from: string|null,      // baseline version name (null = no version)
+ *    to: string|null,        // modified version name
+ *    fromReason: string,
+ *    toReason: string,
+ *    purchaseStart, purchaseEnd,
+ *    travelStart, travelEnd
+ *  }
+ */
+
+import { resolveVersion, coverageEnd } from './versionResolver.js';
+
+export const DIFF_MODES = { AUTO: 'auto', EXACT: 'exact', SAMPLE: 'sample' };
+
+/**
+ * Compare two version sets.
+ * @param {Array<Object>} baseline - chartData before the change
+ * @param {Array<Object>} modified - chartData after the change
+ * @param {{min:number, max:number}} purchaseRange - purchase dates to scan
+ * @param {{min:number, max:number}} travelRange - travel dates to scan
+ * @param {Object} [options] - ResolveOptions used for both sets
+ * @param {{mode?:string, maxCells?:number, columns?:number, rows?:number}} [scan]
+ * @returns {{regions:Array<Object>, transitions:Object<string,number>, mode:string, cells:number}}
+ */
+export function diffScenarios(baseline, modified, purchaseRange, travelRange, options = {}, scan = {}) {
+  const { mode = DIFF_MODES.AUTO, maxCells = 40000, columns = 120, rows = 80 } = scan;
+  const resolveOptions = { ...options, explain: false };
+  const all = [...(baseline || []), ...(modified || [])];
+
+  let purchaseCuts = breakpoints(all.flatMap(v => [v.publishDate, v.withdrawnDate]), purchaseRange);
+  let travelCuts = breakpoints(all.flatMap(v => [v.open, coverageEnd(v, options)]), travelRange);
+  let usedMode = DIFF_MODES.EXACT;
+
+  const exactCells = (purchaseCuts.length - 1) * (travelCuts.length - 1);
+  if (mode === DIFF_MODES.SAMPLE || (mode === DIFF_MODES.AUTO && exactCells > maxCells)) {
+    purchaseCuts = evenCuts(purchaseRange, rows);
+    travelCuts = evenCuts(travelRange, columns);
+    usedMode = DIFF_MODES.SAMPLE;
+  }
+
+  const regions = [];
+  let open = new Map(); // regions that may still grow downwards into the next purchase interval
+
+  for (let row = 0; row < purchaseCuts.length - 1; row++) {
+    const purchaseStart = purchaseCuts[row];
+    const purchaseEnd = purchaseCuts[row + 1];
+    // Exact cells are constant, so their start represents them; samples use the centre
+    const p = usedMode === DIFF_MODES.EXACT ? purchaseStart : (purchaseStart + purchaseEnd) / 2;
+    const rowRuns = [];
+    let run = null;
+
+    for (let col = 0; col < travelCuts.length - 1; col++) {
+      const travelStart = travelCuts[col];
+      const travelEnd = travelCuts[col + 1];
+      const t = usedMode === DIFF_MODES.EXACT ? travelStart : (travelStart + travelEnd) / 2;
+      const before = resolveVersion(baseline, p, t, resolveOptions);
+      const after = resolveVersion(modified, p, t, resolveOptions);
+      const from = before.match ? before.match.version : null;
+      const to = after.match ? after.match.version : null;
+
+      if (from === to) {
+        run = null;
+        continue;
+      }
+      if (run && run.from === from && run.to === to) {
+        run.travelEnd = travelEnd;
+        continue;
+      }
+      run = { from, to, fromReason: before.reason, toReason: after.reason, travelStart, travelEnd };
+      rowRuns.push(run);
+    }
+
+    // Extend regions from the previous purchase interval when a run lines up exactly
+    const nextOpen = new Map();
+    for (const r of rowRuns) {
+      const key = `${r.from}|${r.to}|${r.travelStart}|${r.travelEnd}`;
+      const region = open.get(key);
+      if (region) {
+        region.purchaseEnd = purchaseEnd;
+        nextOpen.set(key, region);
+      } else {
+        const created = { ...r, purchaseStart, purchaseEnd };
+        regions.push(created);
+        nextOpen.set(key, created);
+      }
+    }
+    open = nextOpen;
+  }
+
+  const transitions = {};
+  for (const r of regions) {
+    const key = transitionLabel(r);
+    transitions[key] = (transitions[key] || 0) + 1;
+  }
+
+  return {
+    regions,
+    transitions,
+    mode: usedMode,
+    cells: (purchaseCuts.length - 1) * (travelCuts.length - 1)
+  };
+}
+
+/**
+ * "v2 → v3" style label for a region (no version shows as "ingen")
+ */
+export function transitionLabel(region) {
+  return `${region.from ?? 'ingen'} → ${region.to ?? 'ingen'}`;
+}
+
+// Sorted, unique cut points inside the range, always including both ends
+function breakpoints(values, range) {
+  const inside = values.filter(v => Number.isFinite(v) && v > range.min && v < range.max);
+  return [...new Set([range.min, ...inside, range.max])].sort((a, b) => a - b);
+}
+
+function evenCuts(range, count) {
+  const step = (range.max - range.min) / count;
+  const cuts = [];
+  for (let i = 0; i <= count; i++) cuts.push(range.min + i * step);
+  return cuts;
+}
@@ -0,0 +1,112 @@
+/**
+ * Scenario Diff Overlay Module
+ * Hatches the purchase × travel regions where the resolved version changes against a baseline (see scenarioDiff.js)
+ */
+
+import { versionColorMap, DECISION_MAP_PALETTE } from './decisionMap.js';
+
+const NO_VERSION_COLOR = '#757575';
+
+export class ScenarioDiffOverlay {
+    constructor(chart, xAxis, yAxis) {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.diffSeries = null;
+        this.visible = true;
+        this.palette = DECISION_MAP_PALETTE;
+        this.noVersionColor = NO_VERSION_COLOR;
+        this._patterns = new Map();
+
+        this.initialize();
+    }
+
+    /**
+     * Create the hatched series behind the version columns
+     */
+    initialize() {
+        this.diffSeries = this.chart.series.insertIndex(0, am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Scenario Diff",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "travelEnd",
+            openValueXField: "travelStart",
+            valueYField: "purchaseEnd",
+            openValueYField: "purchaseStart",
+            strokeWidth: 1,
+            strokeDasharray: [3, 2]
+        }));
+        const template = this.diffSeries.columns.template;
+        template.setAll({ tooltipText: "{label}", fillOpacity: 1, strokeOpacity: 0.8 });
+        template.adapters.add("fillPattern", (pattern, target) => {
+            const ctx = target.dataItem && target.dataItem.dataContext;
+            return ctx ? this._pattern(ctx.color) : pattern;
+        });
+        template.adapters.add("stroke", (stroke, target) => {
+            const ctx = target.dataItem && target.dataItem.dataContext;
+            return ctx ? am5.color(ctx.color) : stroke;
+        });
+    }
+
+    // One diagonal hatch pattern per color, reused across columns
+    _pattern(color) {
+        if (!this._patterns.has(color)) {
+            this._patterns.set(color, am5.LinePattern.new(this.chart.root, {
+                color: am5.color(color),
+                rotation: 45,
+                strokeWidth: 2,
+                gap: 5
+            }));
+        }
+        return this._patterns.get(color);
+    }
+
+    /**
+     * Draw diff regions, colored by the version the modified set resolves to
+     * @param {Array<Object>} regions - diffScenarios().regions, each with a precomputed label
+     * @param {Array<Object>} versions - modified chartData (for colors)
+     */
+    updateRegions(regions, versions) {
+        if (!this.diffSeries) return;
+        const colors = versionColorMap(versions, this.palette);
+        this.diffSeries.data.setAll((regions || []).map(r => ({
+            ...r,
+            color: r.to !== null ? colors[r.to] || this.noVersionColor : this.noVersionColor
+        })));
+    }
+
+    /**
+     * Use theme colors (takes effect on the next updateRegions)
+     * @param {{palette?:string[], noVersion?:string}} themeColors
+     */
+    setThemeColors({ palette = DECISION_MAP_PALETTE, noVersion = NO_VERSION_COLOR } = {}) {
+        this.palette = palette;
+        this.noVersionColor = noVersion;
+    }
+
+    /**
+     * Show or hide the overlay
+     */
+    setVisible(visible) {
+        this.visible = visible;
+        if (this.diffSeries) this.diffSeries.set('visible', visible);
+    }
+
+    /**
+     * Whether the overlay is shown
+     */
+    isVisible() {
+        return this.visible;
+    }
+
+    /**
+     * Dispose of the overlay series
+     */
+    dispose() {
+        if (this.diffSeries) {
+            this.diffSeries.dispose();
+            this.diffSeries = null;
+        }
+        this._patterns.clear();
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Scenario Store Module
+ * Keeps named chart states (see ChartManager.getState) in localStorage and remembers the last one used.
+ *
+ * Stored document:
+ *  {
+ *    lastUsed: string|null,
+ *    scenarios: { [id]: { id, name, createdAt, updatedAt, state } }
+ *  }
+ */
+
+const STORAGE_KEY = 'versionVisualizer.scenarios';
+
+export class ScenarioStore {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null), key = STORAGE_KEY) {
+        this.storage = storage;
+        this.key = key;
+        this.doc = this._read();
+        this._saveTimer = null;
+        this._pendingSave = null; // the save scheduleSave will run, so it can be flushed early
+        this.lastError = null; // last storage error (quota, private mode), null when saving works
+    }
+
+    _read() {
+        try {
+            const raw = this.storage && this.storage.getItem(this.key);
+            const doc = raw ? JSON.parse(raw) : null;
+            if (doc && typeof doc.scenarios === 'object') return doc;
+        } catch (error) {
+            console.warn("Could not read saved scenarios:", error);
+        }
+        return { lastUsed: null, scenarios: {} };
+    }
+
+    _write() {
+        if (!this.storage) return false;
+        try {
+            this.storage.setItem(this.key, JSON.stringify(this.doc));
+            this.lastError = null;
+            return true;
+        } catch (error) {
+            console.warn("Could not save scenarios:", error);
+            this.lastError = error;
+            return false;
+        }
+    }
+
+    _newId() {
+        return 's' + Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+    }
+
+    /**
+     * All scenarios (without state), sorted by name
+     * @returns {Array<{id:string, name:string, createdAt:number, updatedAt:number}>}
+     */
+    list() {
+        return Object.values(this.doc.scenarios)
+            .map(({ id, name, createdAt, updatedAt }) => ({ id, name, createdAt, updatedAt }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Get a scenario including its state, or null
+     */
+    get(id) {
+        return this.doc.scenarios[id] || null;
+    }
+
+    /**
+     * Store a new scenario and return its id
+     */
+    create(name, state) {
+        const id = this._newId();
+        const now = Date.now();
+        this.doc.scenarios[id] = { id, name: this.uniqueName(name), createdAt: now, updatedAt: now, state };
+        this._write();
+        return id;
+    }
+
+    /**
+     * Overwrite the state of an existing scenario
+     */
+    save(id, state) {
+        const scenario = this.doc.scenarios[id];
+        if (!scenario) return false;
+        scenario.state = state;
+        scenario.updatedAt = Date.now();
+        return this._write();
+    }
+
+    /**
+     * Save after a quiet period; repeated calls while editing only write once
+     * @param {string} id
+     * @param {Function} getState - called when the save actually happens
+     * @param {Function} [onSaved] - called with the write result
+     */
+    scheduleSave(id, getState, onSaved = null, delay = 500) {
+        if (this._saveTimer) clearTimeout(this._saveTimer);
+        this._pendingSave = () => {
+            const ok = this.save(id, getState());
+            if (typeof onSaved === 'function') onSaved(ok);
+        };
+        this._saveTimer = setTimeout(() => this.flushScheduledSave(), delay);
+    }
+
+    /**
+     * Do a pending autosave right away (e.g. before switching or duplicating scenario)
+     */
+    flushScheduledSave() {
+        const pending = this._pendingSave;
+        this.cancelScheduledSave();
+        if (pending) pending();
+    }
+
+    /**
+     * Drop a pending autosave (e.g. before deleting the scenario it would save)
+     */
+    cancelScheduledSave() {
+        if (this._saveTimer) clearTimeout(this._saveTimer);
+        this._saveTimer = null;
+        this._pendingSave = null;
+    }
+
+    /**
+     * Copy a scenario under a new name and return the new id
+     */
+    duplicate(id, name) {
+        const source = this.doc.scenarios[id];
+        if (!source) return null;
+        return this.create(name || `${source.name} (kopi)`, JSON.parse(JSON.stringify(source.state)));
+    }
+
+    /**
+     * Rename a scenario (names are kept unique)
+     */
+    rename(id, name) {
+        const scenario = this.doc.scenarios[id];
+        if (!scenario || !name) return false;
+        scenario.name = this.uniqueName(name, id);
+        return this._write();
+    }
+
+    /**
+     * Delete a scenario
+     */
+    remove(id) {
+        if (!this.doc.scenarios[id]) return false;
+        delete this.doc.scenarios[id];
+        if (this.doc.lastUsed === id) this.doc.lastUsed = null;
+        return this._write();
+    }
+
+    /**
+     * Id of the scenario that was open last time, if it still exists
+     */
+    getLastUsedId() {
+        return this.doc.lastUsed && this.doc.scenarios[this.doc.lastUsed] ? this.doc.lastUsed : null;
+    }
+
+    /**
+     * Remember which scenario is open
+     */
+    setLastUsed(id) {
+        this.doc.lastUsed = id;
+        this._write();
+    }
+
+    /**
+     * "name", or "name 2", "name 3", ... when the name is taken by another scenario
+     */
+    uniqueName(name, exceptId = null) {
+        const base = String(name || 'Scenario').trim() || 'Scenario';
+        const taken = new Set(Object.values(this.doc.scenarios).filter(s => s.id !== exceptId).map(s => s.name));
+        if (!taken.has(base)) return base;
+        let n = 2;
+        while (taken.has(`${base} ${n}`)) n++;
+        return `${base} ${n}`;
+    }
+}
@@ -0,0 +1,44 @@
+/**
+ * Seeded Random Module
+ * Small deterministic PRNG (mulberry32) so generated demo data can be reproduced from a seed
+ */
+
+/**
+ * Turn a seed (number or any string) into a 32-bit integer
+ * @param {number|string} seed
+ * @returns {number}
+ */
+export function hashSeed(seed) {
+  // "42" typed into a form field gives the same data as 42 passed in code
+  if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) seed = Number(seed.trim());
+  if (typeof seed === 'number' && Number.isInteger(seed)) return seed >>> 0;
+  const text = String(seed);
+  let h = 2166136261; // FNV-1a
+  for (let i = 0; i < text.length; i++) {
+    h = Math.imul(h ^ text.charCodeAt(i), 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Create a random function with the same contract as Math.random (0 <= x < 1)
+ * @param {number|string} seed
+ * @returns {() => number}
+ */
+export function createRandom(seed) {
+  let state = hashSeed(seed);
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * A fresh seed for when the user did not pick one (shown in the UI so the data can be recreated)
+ */
+export function randomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
@@ -0,0 +1,183 @@
+/**
+ * State Link Module
+ * Encodes a chart state (see ChartManager.getState) into a compact URL fragment and back, so a
+ * resolution case can be shared as a link.
+ *
+ * Fragment: "#s=<payload>", where payload is "z1." + base64url(deflate(json)) when the browser has
+ * CompressionStream, otherwise "j1." + base64url(json). The JSON uses short keys, and dates are
+ * whole minutes in base 36 (timestamps with seconds are kept as plain ms numbers).
+ */
+
+import { isValidColor } from './versionStyle.js';
+
+export const LINK_PARAM = 's';
+
+// Limits for text in a decoded link. A link is opened and stored without any user action, so
+// anything a normal version set would not contain is rejected.
+const MAX_VERSIONS = 2000;
+const MAX_NAME_LENGTH = 100; // version names, categories, tags, dimension keys and values
+const MAX_NOTES_LENGTH = 2000;
+const NAME_PATTERN = /^[^<>\u0000-\u001f\u007f]*$/; // no markup characters or control characters
+const NOTES_PATTERN = /^[^\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f]*$/; // line breaks and tabs allowed
+
+// Short keys for state and version fields; fields not listed are stored under their own name
+const STATE_KEYS = {
+  versions: 'v', purchaseDate: 'p', travelDate: 't', returnDate: 'r', tripPolicy: 'tp',
+  strategy: 'st', dimensionFilter: 'f', timeZone: 'z', snapUnit: 'sn', inclusiveEnd: 'ie'
+};
+const VERSION_KEYS = {
+  version: 'n', category: 'c', publishDate: 'p', open: 'o', close: 'e', withdrawnDate: 'w',
+  priority: 'r', supersedes: 's', dimensions: 'd'
+};
+const STATE_DATES = ['purchaseDate', 'travelDate', 'returnDate'];
+// pack leaves nulls out, but "no snapping" (snapUnit null) must survive, or the recipient keeps their own unit
+const NO_SNAP = 0;
+const VERSION_DATES = ['publishDate', 'open', 'close', 'withdrawnDate'];
+
+function invert(keys) {
+  return Object.fromEntries(Object.entries(keys).map(([long, short]) => [short, long]));
+}
+
+function packDate(ts) {
+  return ts % 60000 === 0 ? (ts / 60000).toString(36) : ts;
+}
+
+function unpackDate(value) {
+  return typeof value === 'string' ? parseInt(value, 36) * 60000 : value;
+}
+
+// Rename keys and pack dates; null/undefined entries are left out
+function pack(obj, keys, dateFields) {
+  const out = {};
+  Object.keys(obj).forEach(key => {
+    const value = obj[key];
+    if (value === null || value === undefined) return;
+    out[keys[key] || key] = dateFields.includes(key) && Number.isFinite(value) ? packDate(value) : value;
+  });
+  return out;
+}
+
+function unpack(obj, keys, dateFields) {
+  const names = invert(keys);
+  const out = {};
+  Object.keys(obj).forEach(key => {
+    const name = names[key] || key;
+    out[name] = dateFields.includes(name) ? unpackDate(obj[key]) : obj[key];
+  });
+  return out;
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, ch => ch.charCodeAt(0));
+}
+
+async function transform(bytes, stream) {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+}
+
+/**
+ * Encode a chart state as a URL-safe payload
+ * @param {Object} state - ChartManager.getState()
+ * @returns {Promise<string>}
+ */
+export async function encodeState(state) {
+  const compact = pack({ ...state, versions: undefined }, STATE_KEYS, STATE_DATES);
+  compact[STATE_KEYS.versions] = (state.versions || []).map(v => pack(v, VERSION_KEYS, VERSION_DATES));
+  if (state.snapUnit === null) compact[STATE_KEYS.snapUnit] = NO_SNAP;
+  const bytes = new TextEncoder().encode(JSON.stringify(compact));
+  if (typeof CompressionStream === 'function') {
+    return 'z1.' + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+  }
+  return 'j1.' + toBase64Url(bytes);
+}
+
+/**
+ * Decode a payload from encodeState
+ * @param {string} payload
+ * @returns {Promise<Object>} Chart state for ChartManager.applyState
+ * @throws {Error} if the payload is damaged or does not describe a version set
+ */
+export async function decodeState(payload) {
+  const match = /^([zj])1\.([A-Za-z0-9_-]+)$/.exec(String(payload || ''));
+  if (!match) throw new Error('Lenken har et ukjent format.');
+  let compact;
+  try {
+    let bytes = fromBase64Url(match[2]);
+    if (match[1] === 'z') {
+      if (typeof DecompressionStream !== 'function') throw new Error('Nettleseren kan ikke pakke ut lenken.');
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+    }
+    compact = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`Lenken er skadet: ${error.message}`);
+  }
+
+  const state = unpack({ ...compact, [STATE_KEYS.versions]: undefined }, STATE_KEYS, STATE_DATES);
+  if (state.snapUnit === NO_SNAP) state.snapUnit = null;
+  const versions = compact[STATE_KEYS.versions];
+  if (!Array.isArray(versions)) throw new Error('Lenken inneholder ingen versjoner.');
+  if (versions.length > MAX_VERSIONS) throw new Error(`Lenken inneholder mer enn ${MAX_VERSIONS} versjoner.`);
+  state.versions = versions.map(v => unpack(v, VERSION_KEYS, VERSION_DATES));
+  const invalid = state.versions.find(v => !isValidVersion(v));
+  if (invalid) throw new Error('Lenken inneholder en ugyldig versjon.');
+  if (state.dimensionFilter !== undefined && !isValidDimensions(state.dimensionFilter)) {
+    throw new Error('Lenken inneholder et ugyldig filter.');
+  }
+  return state;
+}
+
+function isName(value) {
+  return typeof value === 'string' && value.length <= MAX_NAME_LENGTH && NAME_PATTERN.test(value);
+}
+
+function isNameList(value) {
+  return Array.isArray(value) && value.length <= MAX_VERSIONS && value.every(isName);
+}
+
+// { key: value | [values] } with names as keys and values
+function isValidDimensions(dimensions) {
+  if (dimensions === null || typeof dimensions !== 'object' || Array.isArray(dimensions)) return false;
+  return Object.keys(dimensions).every(key => isName(key) && (isName(dimensions[key]) || isNameList(dimensions[key])));
+}
+
+// Dates, names, categories, tags, notes, color and dimensions of a decoded version
+function isValidVersion(v) {
+  if (v === null || typeof v !== 'object' || !isName(v.version) || v.version.trim() === '') return false;
+  if (!['publishDate', 'open', 'close'].every(field => Number.isFinite(v[field]))) return false;
+  if (v.withdrawnDate !== undefined && !Number.isFinite(v.withdrawnDate)) return false;
+  if (v.category !== undefined && !isName(v.category)) return false;
+  if (v.priority !== undefined && !Number.isFinite(v.priority)) return false;
+  if (v.supersedes !== undefined && !isName(v.supersedes) && !isNameList(v.supersedes)) return false;
+  if (v.tags !== undefined && !isNameList(v.tags)) return false;
+  if (v.notes !== undefined && !(typeof v.notes === 'string' && v.notes.length <= MAX_NOTES_LENGTH && NOTES_PATTERN.test(v.notes))) return false;
+  if (v.color !== undefined && !(typeof v.color === 'string' && isValidColor(v.color))) return false;
+  if (v.dimensions !== undefined && !isValidDimensions(v.dimensions)) return false;
+  return true;
+}
+
+/**
+ * Read the payload from a location hash ("#s=..."), or null if there is none
+ */
+export function payloadFromHash(hash) {
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  return params.get(LINK_PARAM);
+}
+
+/**
+ * Full URL for the current page with the payload in the fragment
+ */
+export function buildStateUrl(payload, href = location.href) {
+  const url = new URL(href);
+  url.hash = `${LINK_PARAM}=${payload}`;
+  return url.toString();
+}
@@ -0,0 +1,175 @@
+/**
+ * Time Zone Module
+ * Converts between instants (ms) and wall-clock time in an explicit IANA time zone.
+ * Everything in chartData is an instant; the dataset's time zone decides how instants are
+ * shown in inputs/labels and where day boundaries fall (including across DST changes).
+ * A missing time zone means the browser's local zone.
+ */
+
+export const DEFAULT_TIME_ZONE = (() => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+  } catch (e) {
+    return 'UTC';
+  }
+})();
+
+const partsFormatters = new Map();
+
+function partsFormatter(timeZone) {
+  if (!partsFormatters.has(timeZone)) {
+    partsFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return partsFormatters.get(timeZone);
+}
+
+/**
+ * True if the name is a time zone Intl understands.
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone) return false;
+  try {
+    partsFormatter(timeZone);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Wall-clock parts of an instant in a time zone (month is 1-12).
+ * @returns {{year:number, month:number, day:number, hour:number, minute:number, second:number}}
+ */
+export function getZonedParts(ts, timeZone) {
+  if (!timeZone) {
+    const d = new Date(ts);
+    return { year: d.getFullYear(), month: d.getMonth() + 1, day: d.getDate(), hour: d.getHours(), minute: d.getMinutes(), second: d.getSeconds() };
+  }
+  const parts = {};
+  for (const { type, value } of partsFormatter(timeZone).formatToParts(new Date(ts))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour % 24, minute: parts.minute, second: parts.second };
+}
+
+// Offset (ms) of the time zone from UTC at an instant
+function offsetAt(ts, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(ts / 1000) * 1000;
+}
+
+/**
+ * Instant for a wall-clock time in a time zone. Day/month overflow is normalized (day 32 → next month).
+ * @param {{year:number, month:number, day:number, hour?:number, minute?:number, second?:number}} parts
+ * @param {string} [timeZone]
+ * @returns {number} ms
+ */
+export function instantFromZonedParts({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+  if (!timeZone) return new Date(year, month - 1, day, hour, minute, second).getTime();
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let ts = wallClock - offsetAt(wallClock, timeZone);
+  // Second pass picks up a DST change between the guess and the result
+  const corrected = offsetAt(ts, timeZone);
+  if (wallClock - corrected !== ts) ts = wallClock - corrected;
+  return ts;
+}
+
+function pad(n) { return String(n).padStart(2, '0'); }
+
+/**
+ * "YYYY-MM-DD" for <input type="date">
+ */
+export function formatInputDate(ts, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+}
+
+/**
+ * "YYYY-MM-DDTHH:mm" for <input type="datetime-local">
+ */
+export function formatInputDateTime(ts, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Parse "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm" as wall-clock time in the time zone.
+ * @returns {number|null} ms, or null if the value does not match
+ */
+export function parseInputDateTime(value, timeZone) {
+  const m = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2}))?$/);
+  if (!m) return null;
+  return instantFromZonedParts({ year: +m[1], month: +m[2], day: +m[3], hour: +(m[4] || 0), minute: +(m[5] || 0) }, timeZone);
+}
+
+/**
+ * Display form: the date, plus HH:mm when the instant is not at midnight in the time zone.
+ */
+export function formatInstant(ts, timeZone) {
+  const date = new Date(ts);
+  const p = getZonedParts(ts, timeZone);
+  const dateText = date.toLocaleDateString(undefined, timeZone ? { timeZone } : {});
+  if (p.hour === 0 && p.minute === 0) return dateText;
+  return `${dateText} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Midnight (start of the calendar day) in the time zone.
+ */
+export function startOfDay(ts, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  return instantFromZonedParts({ year: p.year, month: p.month, day: p.day }, timeZone);
+}
+
+/**
+ * Same wall-clock time n calendar days later (a DST day is 23 or 25 hours long).
+ */
+export function addCalendarDays(ts, days, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  return instantFromZonedParts({ ...p, day: p.day + days }, timeZone);
+}
+
+/**
+ * Number of calendar days from a to b in the time zone (negative when b is earlier; DST-safe).
+ */
+export function calendarDaysBetween(a, b, timeZone) {
+  const day = (ts) => {
+    const p = getZonedParts(ts, timeZone);
+    return Date.UTC(p.year, p.month - 1, p.day) / (24 * 60 * 60 * 1000);
+  };
+  return day(b) - day(a);
+}
+
+/**
+ * Round an instant to the nearest day, hour or minute boundary in the time zone.
+ * @param {number} ts
+ * @param {'day'|'hour'|'minute'|null} unit - null returns ts unchanged
+ * @param {string} [timeZone]
+ */
+export function roundToUnit(ts, unit, timeZone) {
+  if (!unit) return ts;
+  const p = getZonedParts(ts, timeZone);
+  let floor;
+  let next;
+  if (unit === 'day') {
+    floor = instantFromZonedParts({ year: p.year, month: p.month, day: p.day }, timeZone);
+    next = instantFromZonedParts({ year: p.year, month: p.month, day: p.day + 1 }, timeZone);
+  } else if (unit === 'hour') {
+    floor = instantFromZonedParts({ year: p.year, month: p.month, day: p.day, hour: p.hour }, timeZone);
+    next = floor + 60 * 60 * 1000;
+  } else {
+    floor = Math.floor(ts / 60000) * 60000;
+    next = floor + 60000;
+  }
+  return ts - floor < next - ts ? floor : next;
+}
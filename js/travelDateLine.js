@@ -33,6 +33,19 @@ export class TravelDateLine {
         return this.travelDate;
     }
 
+    setSnap(snap) {
+        this.interactiveLine.setSnap(snap);
+    }
+
+    setDraggable(draggable) {
+        this.interactiveLine.setDraggable(draggable);
+    }
+
+    setColor(colorHex) {
+        this.color = colorHex;
+        this.interactiveLine.setColor(colorHex);
+    }
+
     dispose() {
         if (this.interactiveLine) {
             this.interactiveLine.dispose();
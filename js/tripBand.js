@@ -0,0 +1,91 @@
+/**
+ * Trip Band Module
+ * Draws a trip (departure – return) as a vertical band across the chart, one column per segment
+ */
+
+import { escapeChartText } from './html.js';
+
+export class TripBand {
+    constructor(chart, xAxis, yAxis, color = '#ff4444') {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.color = color;
+        this.bandSeries = null;
+        this.segments = [];
+
+        this.initialize();
+    }
+
+    /**
+     * Create the band series (non-interactive, drawn behind the version columns)
+     */
+    initialize() {
+        this.bandSeries = this.chart.series.push(am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Trip Band",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "high",
+            openValueYField: "low",
+            fill: am5.color(this.color),
+            fillOpacity: 0.08,
+            stroke: am5.color(this.color),
+            strokeOpacity: 0.5,
+            strokeWidth: 1,
+            strokeDasharray: [6, 3]
+        }));
+        this.bandSeries.columns.template.setAll({
+            interactive: true,
+            tooltipText: "Etappe {segmentLabel}: {version}"
+        });
+        this.bandSeries.set("layer", -1);
+    }
+
+    /**
+     * Update the band from trip segments ({ start, end, version }); end is an inclusive day
+     */
+    updateSegments(segments) {
+        this.segments = segments || [];
+        if (!this.bandSeries) return;
+        const dayMs = 24 * 60 * 60 * 1000;
+        const low = this.yAxis.get('min');
+        const high = this.yAxis.get('max');
+        this.bandSeries.data.setAll(this.segments.map((segment, i) => ({
+            open: segment.start,
+            close: segment.end + dayMs,
+            low,
+            high,
+            version: escapeChartText(segment.version || 'ingen'),
+            segmentLabel: i + 1
+        })));
+    }
+
+    /**
+     * Show or hide the band
+     */
+    setVisible(visible) {
+        if (this.bandSeries) this.bandSeries.set('visible', visible);
+    }
+
+    /**
+     * Set the band color
+     */
+    setColor(colorHex) {
+        this.color = colorHex;
+        if (!this.bandSeries) return;
+        this.bandSeries.set('fill', am5.color(colorHex));
+        this.bandSeries.set('stroke', am5.color(colorHex));
+    }
+
+    /**
+     * Dispose of the band series
+     */
+    dispose() {
+        if (this.bandSeries) {
+            this.bandSeries.dispose();
+            this.bandSeries = null;
+        }
+    }
+}
@@ -0,0 +1,140 @@
+/**
+ * tripResolver.js
+ * -------------------------------------------------------------
+ * Formål:
+ *  Finne gjeldende versjon(er) for en hel reise (utreise – retur) i stedet for én reisedato.
+ *  Reisen deles i etapper (segmenter) der den dekkende versjonen endrer seg.
+ *
+ * Policy (options.policy):
+ *  - 'DEPARTURE'   : utreisedato avgjør – versjonen på utreisedato gjelder for hele reisen.
+ *  - 'PER_SEGMENT' : hver etappe får sin egen versjon (reisen er OK hvis alle dager er dekket,
+ *                    TRIP_PARTIALLY_COVERED hvis noen etapper mangler, TRIP_NOT_COVERED hvis ingen er dekket).
+ *  - 'WHOLE_TRIP'  : én tilgjengelig versjon må dekke hele reisen, ellers ingen match.
+ *
+ * Returnverdi:
+ *  {
+ *    match: object | null,      // Versjonen som gjelder for hele reisen (null hvis etappene har ulike versjoner)
+ *    reason: string,            // 'OK' | 'TRIP_PARTIALLY_COVERED' | 'TRIP_NOT_COVERED' | reason fra resolveVersion
+ *    policy: string,
+ *    segments: [{ start, end, version, match, reason, explanation }], // start/end er dager (ms), end inklusiv
+ *    purchaseDate, departureDate, returnDate,
+ *    explanation: string
+ *  }
+ */
+
+import { resolveVersion, coverageEnd } from './versionResolver.js';
+import { addCalendarDays, formatInstant } from './timeZone.js';
+
+export const TRIP_POLICIES = {
+  DEPARTURE: 'DEPARTURE',
+  PER_SEGMENT: 'PER_SEGMENT',
+  WHOLE_TRIP: 'WHOLE_TRIP'
+};
+
+function toMs(d) { return d instanceof Date ? d.getTime() : d; }
+
+/**
+ * Del reisen i segmenter der resolvert versjon (eller reason) endrer seg.
+ * @param {Array<Object>} versions
+ * @param {number|Date} purchaseDate
+ * @param {number|Date} departureDate
+ * @param {number|Date} returnDate
+ * @param {Object} [options] - ResolveOptions
+ * @returns {Array<Object>} segments
+ */
+export function splitTripSegments(versions, purchaseDate, departureDate, returnDate, options = {}) {
+  const p = toMs(purchaseDate);
+  const start = toMs(departureDate);
+  const end = Math.max(start, toMs(returnDate));
+  const segments = [];
+
+  // Én prøve per kalenderdag i datasettets tidssone (tåler sommertid-overganger), på utreisens klokkeslett.
+  // Selve returtidspunktet prøves alltid til slutt, også når det er tidligere på dagen enn utreisen.
+  const probes = [];
+  for (let day = start; day < end; day = addCalendarDays(day, 1, options.timeZone)) probes.push(day);
+  probes.push(end);
+
+  for (const day of probes) {
+    const result = resolveVersion(versions, p, day, options);
+    const version = result.match ? result.match.version : null;
+    const last = segments[segments.length - 1];
+    if (last && last.version === version && last.reason === result.reason) {
+      last.end = day;
+    } else {
+      segments.push({ start: day, end: day, version, match: result.match, reason: result.reason, explanation: result.explanation });
+    }
+  }
+  return segments;
+}
+
+/**
+ * Resolver for en hel reise.
+ * @param {Array<Object>} versions
+ * @param {number|Date} purchaseDate
+ * @param {number|Date} departureDate
+ * @param {number|Date} returnDate
+ * @param {Object} [options] - ResolveOptions + { policy }
+ * @returns {Object} result
+ */
+export function resolveTrip(versions, purchaseDate, departureDate, returnDate, options = {}) {
+  const { policy = TRIP_POLICIES.PER_SEGMENT, ...resolveOptions } = options;
+  const p = toMs(purchaseDate);
+  const dep = toMs(departureDate);
+  const ret = Math.max(dep, toMs(returnDate));
+  const segments = splitTripSegments(versions, p, dep, ret, resolveOptions);
+  const fmt = (d) => formatInstant(d, resolveOptions.timeZone);
+  const base = { policy, segments, purchaseDate: p, departureDate: dep, returnDate: ret };
+
+  if (policy === TRIP_POLICIES.DEPARTURE) {
+    const first = segments[0];
+    return {
+      ...base,
+      match: first.match,
+      reason: first.reason,
+      explanation: `Utreisedato ${fmt(dep)} avgjør for hele reisen. ${first.explanation}`
+    };
+  }
+
+  if (policy === TRIP_POLICIES.WHOLE_TRIP) {
+    // Kandidater må dekke både utreise og retur; blant dem avgjør vanlig presedens ved utreisedato.
+    const coversReturn = (v) => ret < coverageEnd(v, resolveOptions);
+    const covering = (versions || []).filter(v => v.open <= dep && coversReturn(v));
+    const result = resolveVersion(covering, p, dep, resolveOptions);
+    if (result.match) {
+      return {
+        ...base,
+        match: result.match,
+        reason: 'OK',
+        explanation: `${result.match.version} dekker hele reisen ${fmt(dep)} – ${fmt(ret)}. ${result.explanation}`
+      };
+    }
+    return {
+      ...base,
+      match: null,
+      reason: 'TRIP_NOT_COVERED',
+      explanation: `Ingen tilgjengelig versjon dekker hele reisen ${fmt(dep)} – ${fmt(ret)}` +
+        (segments.length > 1 ? ` (reisen deles i ${segments.length} etapper).` : '.')
+    };
+  }
+
+  // PER_SEGMENT
+  const uncovered = segments.filter(s => !s.match);
+  const versionsUsed = [...new Set(segments.filter(s => s.match).map(s => s.version))];
+  const single = uncovered.length === 0 && versionsUsed.length === 1;
+  const noneCovered = uncovered.length === segments.length;
+  let reason = 'OK';
+  let explanation = `Reisen ${fmt(dep)} – ${fmt(ret)} er dekket av ${versionsUsed.join(' → ')} (${segments.length} etappe(r)).`;
+  if (noneCovered) {
+    reason = 'TRIP_NOT_COVERED';
+    explanation = `Ingen av reisens ${segments.length} etappe(r) ${fmt(dep)} – ${fmt(ret)} er dekket av noen tilgjengelig versjon.`;
+  } else if (uncovered.length > 0) {
+    reason = 'TRIP_PARTIALLY_COVERED';
+    explanation = `${uncovered.length} av ${segments.length} etappe(r) er ikke dekket av noen tilgjengelig versjon.`;
+  }
+  return {
+    ...base,
+    match: single ? segments[0].match : null,
+    reason,
+    explanation
+  };
+}
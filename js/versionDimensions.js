@@ -0,0 +1,153 @@
+/**
+ * Version Dimensions Module
+ * Helpers for versions that belong to a tariff line (route, fare family, market, channel, ...).
+ *
+ * A version may carry a `dimensions` object, e.g.
+ *   { route: 'OSL-BGO', fareFamily: 'flex', market: 'NO', channel: '*' }
+ * A dimension value can be:
+ *  - a string: the version only applies to that value
+ *  - an array of strings: the version applies to any of the values
+ *  - '*', empty or missing: wildcard, the version applies to every value (default/fallback)
+ *
+ * A query uses the same shape. Query keys that are missing, empty or '*' do not restrict anything.
+ */
+
+export const WILDCARD = '*';
+
+function isWildcard(value) {
+  return value === undefined || value === null || value === '' || value === WILDCARD ||
+    (Array.isArray(value) && value.length === 0);
+}
+
+// Values are compared as text, so a number from data (zone: 1) still matches the option '1'
+function includesValue(value, wanted) {
+  return [].concat(value).some(x => String(x) === String(wanted));
+}
+
+/**
+ * Return the query keys that actually restrict the result.
+ * @param {Object} [query]
+ * @returns {string[]}
+ */
+export function activeDimensionKeys(query) {
+  if (!query || typeof query !== 'object') return [];
+  return Object.keys(query).filter(k => !isWildcard(query[k]));
+}
+
+/**
+ * True if the query restricts on at least one dimension.
+ */
+export function hasDimensionQuery(query) {
+  return activeDimensionKeys(query).length > 0;
+}
+
+/**
+ * Score how specifically a version matches a query.
+ * @param {Object} version
+ * @param {Object} [query]
+ * @returns {number} -1 when the version does not match, otherwise the number of
+ *                   query keys matched explicitly (wildcards count 0).
+ */
+export function dimensionSpecificity(version, query) {
+  const dims = (version && version.dimensions) || {};
+  let score = 0;
+  for (const key of activeDimensionKeys(query)) {
+    const value = dims[key];
+    if (isWildcard(value)) continue;
+    if (!includesValue(value, query[key])) return -1;
+    score++;
+  }
+  return score;
+}
+
+/**
+ * True if the version applies to the query (explicitly or through a wildcard).
+ */
+export function matchesDimensions(version, query) {
+  return dimensionSpecificity(version, query) >= 0;
+}
+
+/**
+ * True if two versions can apply to the same booking: every dimension both of them set explicitly
+ * shares at least one value (a wildcard shares every value).
+ */
+export function dimensionsOverlap(a, b) {
+  const dimsA = (a && a.dimensions) || {};
+  const dimsB = (b && b.dimensions) || {};
+  return Object.keys(dimsA).every(key => {
+    if (isWildcard(dimsA[key]) || isWildcard(dimsB[key])) return true;
+    return [].concat(dimsA[key]).some(value => includesValue(dimsB[key], value));
+  });
+}
+
+/**
+ * True if the version applies to every booking in a scope (a dimensions object): each dimension the
+ * version sets explicitly is set in the scope too, to values the version includes.
+ */
+export function coversDimensions(version, scope) {
+  const dims = (version && version.dimensions) || {};
+  const scopeDims = scope || {};
+  return Object.keys(dims).every(key => {
+    if (isWildcard(dims[key])) return true;
+    if (isWildcard(scopeDims[key])) return false;
+    return [].concat(scopeDims[key]).every(value => includesValue(dims[key], value));
+  });
+}
+
+/**
+ * Group matching versions into tiers, most specific first.
+ * @param {Array<Object>} versions
+ * @param {Object} query
+ * @returns {Array<{specificity:number, versions:Array<Object>}>}
+ */
+export function groupBySpecificity(versions, query) {
+  const tiers = new Map();
+  for (const v of versions) {
+    const score = dimensionSpecificity(v, query);
+    if (score < 0) continue;
+    if (!tiers.has(score)) tiers.set(score, []);
+    tiers.get(score).push(v);
+  }
+  return [...tiers.entries()]
+    .sort((a, b) => b[0] - a[0])
+    .map(([specificity, list]) => ({ specificity, versions: list }));
+}
+
+/**
+ * All dimension keys used by any version, in first-seen order.
+ */
+export function getDimensionKeys(versions) {
+  const keys = [];
+  for (const v of versions || []) {
+    for (const key of Object.keys((v && v.dimensions) || {})) {
+      if (!keys.includes(key)) keys.push(key);
+    }
+  }
+  return keys;
+}
+
+/**
+ * All explicit (non-wildcard) values used for a dimension key, sorted.
+ */
+export function getDimensionValues(versions, key) {
+  const values = new Set();
+  for (const v of versions || []) {
+    const value = v && v.dimensions ? v.dimensions[key] : undefined;
+    if (isWildcard(value)) continue;
+    (Array.isArray(value) ? value : [value]).forEach(x => values.add(String(x)));
+  }
+  return [...values].sort();
+}
+
+/**
+ * Human readable form, e.g. "market: NO, channel: *". Empty dimensions give '*'.
+ */
+export function formatDimensions(dimensions) {
+  const keys = Object.keys(dimensions || {});
+  if (keys.length === 0) return WILDCARD;
+  return keys.map(k => {
+    const value = dimensions[k];
+    const text = isWildcard(value) ? WILDCARD : (Array.isArray(value) ? value.join('|') : value);
+    return `${k}: ${text}`;
+  }).join(', ');
+}
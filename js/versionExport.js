@@ -0,0 +1,229 @@
+/**
+ * Version Export Module
+ * Writes the version set (and the current resolution) to JSON, CSV and iCalendar.
+ *
+ * JSON and CSV are readable by versionImport.js again. The .ics file has one event for each
+ * publish date, validity period and withdrawal, so the release calendar can be subscribed to.
+ *
+ * Metadata shape (from ChartManager.getExportMetadata):
+ *  {
+ *    purchaseDate: number, travelDate: number, returnDate: number|null,
+ *    timeZone: string, strategy: string,
+ *    resolution: { version: string|null, reason: string, explanation: string }
+ *  }
+ */
+
+import { getDimensionKeys } from './versionDimensions.js';
+import { formatInputDate, formatInputDateTime, getZonedParts, addCalendarDays } from './timeZone.js';
+
+export const EXPORT_FORMAT = 'version-visualizer';
+
+// Fields that belong to a version (display helpers such as *Formatted are left out)
+const VERSION_FIELDS = ['category', 'version', 'publishDate', 'open', 'close', 'withdrawnDate', 'priority', 'supersedes', 'dimensions', 'notes', 'tags', 'color'];
+const DATE_FIELDS = ['publishDate', 'open', 'close', 'withdrawnDate'];
+
+function iso(ts) {
+  return ts === null || ts === undefined ? null : new Date(ts).toISOString();
+}
+
+/**
+ * JSON document: metadata plus versions with ISO dates. Round-trips through parseVersionFile.
+ * @param {Array<Object>} versions - chartData
+ * @param {Object} [meta] - Export metadata
+ * @returns {string}
+ */
+export function exportVersionsJson(versions, meta = {}) {
+  const doc = {
+    format: EXPORT_FORMAT,
+    exportedAt: new Date().toISOString(),
+    timeZone: meta.timeZone || null,
+    strategy: meta.strategy || null,
+    purchaseDate: iso(meta.purchaseDate),
+    travelDate: iso(meta.travelDate),
+    returnDate: iso(meta.returnDate),
+    resolution: meta.resolution || null,
+    versions: (versions || []).map(v => {
+      const out = {};
+      VERSION_FIELDS.forEach(field => {
+        if (v[field] === undefined || v[field] === null) return;
+        out[field] = DATE_FIELDS.includes(field) ? iso(v[field]) : v[field];
+      });
+      return out;
+    })
+  };
+  return JSON.stringify(doc, null, 2);
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// "YYYY-MM-DD", or "YYYY-MM-DD HH:mm[:ss]" when the instant is not at midnight in the time zone.
+// Seconds are written when set; milliseconds are dropped (use JSON for exact instants).
+function csvDate(ts, timeZone) {
+  if (ts === undefined || ts === null) return '';
+  const p = getZonedParts(ts, timeZone);
+  if (p.hour === 0 && p.minute === 0 && p.second === 0) return formatInputDate(ts, timeZone);
+  const text = formatInputDateTime(ts, timeZone).replace('T', ' ');
+  return p.second === 0 ? text : `${text}:${String(p.second).padStart(2, '0')}`;
+}
+
+// Several values for one dimension (market: ['NO', 'SE']) are joined like tags: "NO|SE"
+function csvDimension(value) {
+  return Array.isArray(value) ? value.join('|') : value;
+}
+
+/**
+ * CSV with one row per version. Dates are wall-clock time in the time zone; every dimension key gets a column,
+ * with "|" between the values of a multi-value dimension.
+ * @param {Array<Object>} versions - chartData
+ * @param {{timeZone?:string}} [options]
+ * @returns {string}
+ */
+export function exportVersionsCsv(versions, { timeZone } = {}) {
+  const dimensionKeys = getDimensionKeys(versions || []);
+  const header = ['version', 'category', 'publishDate', 'open', 'close', 'withdrawnDate', 'priority', 'supersedes', 'notes', 'tags', 'color', ...dimensionKeys];
+  const rows = (versions || []).map(v => [
+    v.version,
+    v.category,
+    csvDate(v.publishDate, timeZone),
+    csvDate(v.open, timeZone),
+    csvDate(v.close, timeZone),
+    csvDate(v.withdrawnDate, timeZone),
+    v.priority,
+    Array.isArray(v.supersedes) ? v.supersedes.join('|') : v.supersedes,
+    v.notes,
+    (v.tags || []).join('|'),
+    v.color,
+    ...dimensionKeys.map(key => csvDimension((v.dimensions || {})[key]))
+  ]);
+  return [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+// RFC 5545 text escaping
+function icsText(text) {
+  return String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines longer than 75 octets (continuation lines start with a space)
+function foldLine(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const parts = [];
+  let current = '';
+  let size = 0;
+  for (const ch of line) {
+    const chSize = new TextEncoder().encode(ch).length;
+    if (size + chSize > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+    current += ch;
+    size += chSize;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+function icsUtc(ts) {
+  return new Date(ts).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function icsDate(ts, timeZone) {
+  return formatInputDate(ts, timeZone).replace(/-/g, '');
+}
+
+function isMidnight(ts, timeZone) {
+  const p = getZonedParts(ts, timeZone);
+  return p.hour === 0 && p.minute === 0;
+}
+
+/**
+ * DTSTART/DTEND lines. Day-granular ranges become all-day events; with an inclusive end the
+ * last day is included, so DTEND (exclusive in iCalendar) is the day after.
+ */
+function icsRange(start, end, timeZone, inclusiveEnd) {
+  if (isMidnight(start, timeZone) && isMidnight(end, timeZone)) {
+    const lastDay = inclusiveEnd ? addCalendarDays(end, 1, timeZone) : end;
+    return [`DTSTART;VALUE=DATE:${icsDate(start, timeZone)}`, `DTEND;VALUE=DATE:${icsDate(Math.max(lastDay, addCalendarDays(start, 1, timeZone)), timeZone)}`];
+  }
+  return [`DTSTART:${icsUtc(start)}`, `DTEND:${icsUtc(Math.max(end, start))}`];
+}
+
+function icsInstant(ts, timeZone) {
+  if (isMidnight(ts, timeZone)) {
+    return [`DTSTART;VALUE=DATE:${icsDate(ts, timeZone)}`, `DTEND;VALUE=DATE:${icsDate(addCalendarDays(ts, 1, timeZone), timeZone)}`];
+  }
+  return [`DTSTART:${icsUtc(ts)}`, `DTEND:${icsUtc(ts)}`];
+}
+
+function uidPart(name) {
+  return String(name).replace(/[^A-Za-z0-9._-]/g, '_');
+}
+
+/**
+ * iCalendar file with publish, validity and withdrawal events per version.
+ * The resolution for the current purchase/travel dates is added to the calendar description
+ * and to the events of the resolved version.
+ * @param {Array<Object>} versions - chartData
+ * @param {Object} [meta] - Export metadata
+ * @param {{inclusiveEnd?:boolean, calendarName?:string}} [options]
+ * @returns {string}
+ */
+export function exportVersionsIcs(versions, meta = {}, { inclusiveEnd = true, calendarName = 'Versjonskalender' } = {}) {
+  const { timeZone, resolution } = meta;
+  const stamp = icsUtc(Date.now());
+  const context = [
+    meta.purchaseDate !== undefined ? `Kjøpsdato: ${formatInputDateTime(meta.purchaseDate, timeZone).replace('T', ' ')}` : null,
+    meta.travelDate !== undefined ? `Reisedato: ${formatInputDateTime(meta.travelDate, timeZone).replace('T', ' ')}` : null,
+    resolution ? `Gyldig versjon: ${resolution.version ?? 'ingen'} (${resolution.reason})` : null,
+    resolution && resolution.explanation ? resolution.explanation : null
+  ].filter(Boolean).join('\n');
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//VersionVisualizer//Version calendar//NO',
+    'CALSCALE:GREGORIAN',
+    `X-WR-CALNAME:${icsText(calendarName)}`,
+    `X-WR-CALDESC:${icsText(context)}`
+  ];
+  if (timeZone) lines.push(`X-WR-TIMEZONE:${timeZone}`);
+  if (meta.purchaseDate !== undefined) lines.push(`X-VV-PURCHASE-DATE:${icsUtc(meta.purchaseDate)}`);
+  if (meta.travelDate !== undefined) lines.push(`X-VV-TRAVEL-DATE:${icsUtc(meta.travelDate)}`);
+
+  const event = (uid, summary, dateLines, description, tags = []) => {
+    lines.push('BEGIN:VEVENT', `UID:${uid}@version-visualizer`, `DTSTAMP:${stamp}`, ...dateLines, `SUMMARY:${icsText(summary)}`);
+    if (description) lines.push(`DESCRIPTION:${icsText(description)}`);
+    if (tags.length > 0) lines.push(`CATEGORIES:${tags.map(icsText).join(',')}`);
+    lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+  };
+
+  (versions || []).forEach(v => {
+    const id = uidPart(v.version);
+    const resolved = resolution && resolution.version === v.version ? `\n\n${context}` : '';
+    const scope = v.dimensions && Object.keys(v.dimensions).length > 0
+      ? `\nGjelder: ${Object.keys(v.dimensions).map(k => `${k}=${v.dimensions[k]}`).join(', ')}`
+      : '';
+    const notes = v.notes ? `\n${v.notes}` : '';
+    const tags = v.tags || [];
+    event(`${id}-publish`, `${v.version} publiseres`, icsInstant(v.publishDate, timeZone),
+      `${v.category || v.version} publiseres.${scope}${notes}${resolved}`, tags);
+    event(`${id}-validity`, `${v.version} gyldig`, icsRange(v.open, v.close, timeZone, inclusiveEnd),
+      `Gyldighetsperiode for ${v.version}.${scope}${notes}${resolved}`, tags);
+    if (v.withdrawnDate) {
+      event(`${id}-withdrawn`, `${v.version} trekkes fra salg`, icsInstant(v.withdrawnDate, timeZone),
+        `${v.version} kan ikke lenger kjøpes.${scope}`, tags);
+    }
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,197 @@
+/**
+ * Version Import Module
+ * Reads a version set from a JSON or CSV file and validates every row before it reaches the chart.
+ *
+ * Version shape (after import, same as chartData):
+ *  {
+ *    category: string,
+ *    version: string,
+ *    publishDate: number, open: number, close: number,   // ms
+ *    withdrawnDate?: number,
+ *    priority?: number,
+ *    supersedes?: string|string[],
+ *    dimensions?: object,
+ *    notes?: string, tags?: string[], color?: string   // "#rrggbb"
+ *  }
+ *
+ * Row error shape:
+ *  { row: number, field: string|null, message: string }   // row is 1-based (data rows, header excluded)
+ */
+
+import { parseCsv } from './csv.js';
+import { parseDateValue } from './dateUtils.js';
+import { isValidTimeZone } from './timeZone.js';
+import { isValidColor, normalizeColor, normalizeTags } from './versionStyle.js';
+
+// Accepted column names (lowercased, without spaces/underscores/dashes) for each version field
+const COLUMN_ALIASES = {
+  version: ['version', 'versjon', 'name', 'navn'],
+  category: ['category', 'kategori'],
+  publishDate: ['publishdate', 'published', 'publiseringsdato', 'publisert'],
+  open: ['open', 'start', 'startdate', 'validfrom', 'gyldigfra'],
+  close: ['close', 'end', 'enddate', 'validto', 'gyldigtil'],
+  withdrawnDate: ['withdrawndate', 'withdrawn', 'trukket', 'trukketdato'],
+  priority: ['priority', 'prioritet'],
+  supersedes: ['supersedes', 'erstatter'],
+  notes: ['notes', 'note', 'notater', 'notat', 'description', 'beskrivelse'],
+  tags: ['tags', 'tagger', 'stikkord'],
+  color: ['color', 'colour', 'farge']
+};
+
+const REQUIRED_FIELDS = ['version', 'publishDate', 'open', 'close'];
+const DATE_FIELDS = ['publishDate', 'open', 'close', 'withdrawnDate'];
+
+function fieldFor(column) {
+  const key = column.trim().toLowerCase().replace(/[\s_-]/g, '');
+  return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(key)) || null;
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+// "NO|SE" in a CSV dimension column is a list of values, as written by exportVersionsCsv
+function parseDimensionValue(value) {
+  const list = String(value).split('|').map(part => part.trim()).filter(Boolean);
+  return list.length === 1 ? list[0] : list;
+}
+
+// JSON may give numbers or booleans ({"zone": 1}); filters and share links work with strings
+function stringDimensions(dimensions) {
+  const result = {};
+  Object.keys(dimensions).forEach(key => {
+    const value = dimensions[key];
+    if (Array.isArray(value)) result[key] = value.map(String);
+    else result[key] = value === undefined || value === null ? value : String(value);
+  });
+  return result;
+}
+
+/**
+ * Map raw record columns to version fields.
+ * In flat (CSV) records unknown columns become dimensions; structured (JSON) records use `dimensions`.
+ */
+function normalizeRecord(record, flat) {
+  const fields = {};
+  const dimensions = {};
+  Object.keys(record || {}).forEach(column => {
+    const field = fieldFor(column);
+    const value = record[column];
+    if (field) fields[field] = value;
+    else if (column === 'dimensions' && value && typeof value === 'object') Object.assign(dimensions, stringDimensions(value));
+    else if (flat && !isBlank(value)) dimensions[column.trim()] = parseDimensionValue(value);
+  });
+  return { fields, dimensions };
+}
+
+/**
+ * Validate raw records and build chartData.
+ * @param {Array<Object>} records - Rows from CSV or objects from JSON
+ * @param {{timeZone?:string, flat?:boolean}} [options] - Time zone for wall-clock dates; flat for CSV rows
+ * @returns {{versions:Array<Object>, errors:Array<{row:number, field:string|null, message:string}>}}
+ */
+export function validateVersions(records, { timeZone, flat = false } = {}) {
+  const versions = [];
+  const errors = [];
+  const seen = new Map();
+
+  (records || []).forEach((record, index) => {
+    const row = index + 1;
+    const rowErrors = [];
+    const fail = (field, message) => rowErrors.push({ row, field, message });
+    if (!record || typeof record !== 'object' || Array.isArray(record)) {
+      fail(null, 'Raden er ikke et objekt.');
+      errors.push(...rowErrors);
+      return;
+    }
+    const { fields, dimensions } = normalizeRecord(record, flat);
+
+    REQUIRED_FIELDS.forEach(field => {
+      if (isBlank(fields[field])) fail(field, `Mangler ${field}.`);
+    });
+
+    const dates = {};
+    DATE_FIELDS.forEach(field => {
+      if (isBlank(fields[field])) return;
+      const value = parseDateValue(fields[field], timeZone);
+      if (value === null) fail(field, `Ugyldig dato i ${field}: "${fields[field]}".`);
+      else dates[field] = value;
+    });
+
+    if (dates.open !== undefined && dates.close !== undefined && dates.open > dates.close) {
+      fail('close', 'Startdato (open) er etter sluttdato (close).');
+    }
+    if (dates.open !== undefined && dates.publishDate !== undefined && dates.open < dates.publishDate) {
+      fail('open', 'Startdato (open) er før publiseringsdato.');
+    }
+    if (dates.withdrawnDate !== undefined && dates.publishDate !== undefined && dates.withdrawnDate <= dates.publishDate) {
+      fail('withdrawnDate', 'Trukket-dato må være etter publiseringsdato.');
+    }
+
+    const priority = isBlank(fields.priority) ? undefined : Number(fields.priority);
+    if (priority !== undefined && !isFinite(priority)) fail('priority', `Ugyldig prioritet: "${fields.priority}".`);
+
+    if (!isBlank(fields.color) && !isValidColor(String(fields.color))) fail('color', `Ugyldig farge: "${fields.color}" (bruk #rrggbb).`);
+
+    const name = isBlank(fields.version) ? null : String(fields.version).trim();
+    if (name !== null && seen.has(name)) fail('version', `Versjonsnavnet ${name} finnes allerede på rad ${seen.get(name)}.`);
+    if (name !== null && !seen.has(name)) seen.set(name, row);
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      return;
+    }
+
+    const version = {
+      category: isBlank(fields.category) ? `Version ${versions.length + 1}` : String(fields.category).trim(),
+      version: name,
+      open: dates.open,
+      close: dates.close,
+      publishDate: dates.publishDate
+    };
+    if (dates.withdrawnDate !== undefined) version.withdrawnDate = dates.withdrawnDate;
+    if (priority !== undefined) version.priority = priority;
+    if (!isBlank(fields.supersedes)) version.supersedes = parseSupersedes(fields.supersedes);
+    if (Object.keys(dimensions).length > 0) version.dimensions = dimensions;
+    if (!isBlank(fields.notes)) version.notes = String(fields.notes).trim();
+    const tags = isBlank(fields.tags) ? [] : normalizeTags(fields.tags);
+    if (tags.length > 0) version.tags = tags;
+    if (!isBlank(fields.color)) version.color = normalizeColor(String(fields.color));
+    versions.push(version);
+  });
+
+  if ((records || []).length === 0) errors.push({ row: 0, field: null, message: 'Filen inneholder ingen versjoner.' });
+  return { versions, errors };
+}
+
+// "v1|v2" or "v1 v2" in CSV, string or array in JSON
+function parseSupersedes(value) {
+  if (Array.isArray(value)) return value.map(String);
+  const list = String(value).split(/[|\s]+/).filter(Boolean);
+  return list.length === 1 ? list[0] : list;
+}
+
+/**
+ * Parse and validate a version file.
+ * JSON may be an array of versions or an object with a `versions` array. An object with a valid
+ * `timeZone` (as written by exportVersionsJson) has its wall-clock dates read in that zone, and the
+ * zone is returned so the caller can show the data in it.
+ * @param {string} text - File content
+ * @param {string} fileName - Used to pick JSON or CSV
+ * @param {{timeZone?:string}} [options] - Time zone for files that do not name one
+ * @returns {{versions:Array<Object>, errors:Array<Object>, timeZone:string|null}} timeZone is the file's own zone, if any
+ * @throws {SyntaxError} if a JSON file can not be parsed at all
+ */
+export function parseVersionFile(text, fileName = '', options = {}) {
+  const isJson = /\.json$/i.test(fileName) || /^\s*[\[{]/.test(text);
+  let records;
+  let timeZone = null;
+  if (isJson) {
+    const parsed = JSON.parse(text);
+    records = Array.isArray(parsed) ? parsed : (parsed && parsed.versions) || [];
+    if (parsed && !Array.isArray(parsed) && isValidTimeZone(parsed.timeZone)) timeZone = parsed.timeZone;
+  } else {
+    records = parseCsv(text);
+  }
+  return { ...validateVersions(records, { ...options, timeZone: timeZone || options.timeZone, flat: !isJson }), timeZone };
+}
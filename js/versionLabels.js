@@ -1,7 +1,9 @@
 // filepath: /Users/kristianhestetun/git/VersionViz/js/versionLabels.js
+import { columnColors } from './versionStyle.js';
+
 /**
  * Version label module
- * Adds a centered label to each column showing the version field.
+ * Adds a centered label to each column showing the version field, in a text color that reads on the column's fill.
  * Usage: addVersionLabels(root, series, () => currentValidVersion, optionalConfig)
  */
 export function addVersionLabels(root, series, getValidVersion, cfg = {}) {
@@ -11,6 +13,7 @@ export function addVersionLabels(root, series, getValidVersion, cfg = {}) {
     fontWeight = '600',
     truncate = true,
     minVisibleWidth,
+    getColors = (ctx, isValid) => columnColors(ctx, isValid), // column colors; the label uses .text
     method = 'auto' // 'auto' | 'template' | 'bullet'
   } = cfg;
 
@@ -20,7 +23,7 @@ export function addVersionLabels(root, series, getValidVersion, cfg = {}) {
   }
 
   const createLabel = () => am5.Label.new(root, {
-    text: '{version}',
+    text: '{versionFormatted}', // bracket-escaped name (see ChartManager.formatVersionFields)
     centerX: am5.p50,
     centerY: am5.p50,
     fontSize,
@@ -37,7 +40,7 @@ export function addVersionLabels(root, series, getValidVersion, cfg = {}) {
       const col = target.parent; if (!col || !col.dataItem) return fill;
       const ctx = col.dataItem.dataContext || {};
       const valid = typeof getValidVersion === 'function' ? getValidVersion() : null;
-      return ctx.version === valid ? am5.color('#ffffff') : am5.color('#222222');
+      return am5.color(getColors(ctx, ctx.version === valid).text);
     });
     if (minVisibleWidth) {
       label.adapters.add('visible', (visible, target) => {
@@ -70,7 +73,7 @@ export function addVersionLabels(root, series, getValidVersion, cfg = {}) {
         const col = target.parent; // in bullet case parent is label container; we map via dataItem
         const ctx = dataItem && dataItem.dataContext ? dataItem.dataContext : {};
         const valid = typeof getValidVersion === 'function' ? getValidVersion() : null;
-        return ctx.version === valid ? am5.color('#eee') : am5.color('#fff');
+        return am5.color(getColors(ctx, ctx.version === valid).text);
       });
       if (minVisibleWidth) {
         label.adapters.add('visible', (visible, target) => {
@@ -8,20 +8,29 @@
  * Datastruktur antatt (samme som i eksisterende chartData):
  *  {
  *    version: string,            // f.eks. "v1.0"
- *    publishDate: number,        // tidspunkt (ms) versjon ble tilgjengelig
+ *    publishDate: number,        // tidspunkt (ms) versjon ble tilgjengelig (kan ha klokkeslett, f.eks. 14:00)
  *    open: number,               // start på gyldighetsperiode (ms)
  *    close: number,              // slutt på gyldighetsperiode (ms) (eksklusiv eller inklusiv – se note under)
+ *    withdrawnDate?: number,     // tidspunkt (ms) versjonen ble trukket fra salg (valgfri)
+ *    dimensions?: object,        // f.eks. { route: 'OSL-BGO', market: 'NO', channel: '*' } (se versionDimensions.js)
  *    ... (andre felt ignorert av denne modulen)
  *  }
  *
  * Regler:
- *  1. Tilgjengelige versjoner ved kjøpstidspunkt: alle hvor publishDate <= purchaseDate.
+ *  0. Hvis options.dimensions er satt vurderes bare versjoner som matcher dimensjonene.
+ *     Eksakte treff prøves først; gir de ingen match faller vi tilbake til versjoner med wildcard ('*' / mangler).
+ *  1. Tilgjengelige versjoner ved kjøpstidspunkt: alle hvor publishDate <= purchaseDate
+ *     og som ikke er trukket tilbake (withdrawnDate mangler eller purchaseDate < withdrawnDate).
  *  2. En versjon dekker reisedato hvis open <= travelDate <= close (vi antar close inklusiv).
+ *     - En inklusiv close på midnatt (i options.timeZone) dekker hele den dagen, slik dagbaserte data
+ *       alltid har ment; har close et klokkeslett er det selve tidspunktet som gjelder (se coverageEnd).
  *     - Hvis du ønsker eksklusiv slutt kan du sette option { inclusiveEnd: false }.
- *  3. Hvis flere tilgjengelige versjoner dekker reisedato velges den med høyest publishDate
- *     (altså den nyeste publiserte som allerede er gyldig for reisen).
+ *  3. Hvis flere tilgjengelige versjoner dekker reisedato avgjør presedensstrategien (options.strategy).
+ *     Standard er 'LATEST_PUBLISHED': høyest publishDate (den nyeste publiserte som allerede er gyldig
+ *     for reisen), deretter senest open. Se precedenceStrategies.js for øvrige regler.
  *  4. Hvis ingen tilgjengelige versjoner dekker reisedato returneres null med reason.
  *  5. Hvis ingen versjoner i det hele tatt er publisert ennå (purchaseDate før første publishDate), returneres null med reason.
+ *  6. Hvis det eneste som dekket reisedato var versjoner som er trukket tilbake, returneres null med reason 'VERSION_WITHDRAWN'.
  *
  * Returnverdi:
  *  {
@@ -29,20 +38,36 @@
  *    reason: string,         // Forklaring hvis match == null, ellers 'OK'
  *    candidates: object[],   // Versjoner som var både tilgjengelige og dekket reisedato
  *    available: object[],    // Alle versjoner som var tilgjengelige på purchaseDate
+ *    withdrawn: object[],    // Publiserte versjoner som dekket reisedato men var trukket tilbake på purchaseDate
  *    purchaseDate: number,
  *    travelDate: number,
- *    options: { inclusiveEnd: boolean }
+ *    options: { inclusiveEnd: boolean, dimensions: object | null, timeZone: string | null },
+ *    fallback: boolean,      // true hvis match kom fra et mer generelt (wildcard) dimensjonsnivå
+ *    strategy: string,       // id for presedensstrategien som ble brukt
+ *    decidedBy: string|null  // kriteriet som skilte vinneren fra nestemann (null ved én kandidat)
  *  }
  *
  * Edge cases håndteres eksplisitt i reason:
  *  - 'NO_AVAILABLE_VERSIONS'
  *  - 'NO_VERSION_COVERS_TRAVEL_DATE'
+ *  - 'NO_VERSIONS_FOR_DIMENSIONS'
+ *  - 'VERSION_WITHDRAWN'
  *  - 'OK'
  */
 
+import { hasDimensionQuery, activeDimensionKeys, groupBySpecificity, formatDimensions } from './versionDimensions.js';
+import { pickWinner, getStrategy } from './precedenceStrategies.js';
+import { formatInstant, startOfDay, addCalendarDays } from './timeZone.js';
+
 /**
  * @typedef {Object} ResolveOptions
  * @property {boolean} [inclusiveEnd=true] - Om slutt (close) skal behandles inklusivt.
+ * @property {Object} [dimensions] - Dimensjoner for spørringen (f.eks. { market: 'NO', channel: 'web' }).
+ *   Bare versjoner som matcher (eksakt eller via wildcard '*') blir vurdert.
+ * @property {string|Function} [strategy='LATEST_PUBLISHED'] - Presedensstrategi (navn) eller egen comparator (a, b) => number.
+ * @property {string} [timeZone] - IANA-tidssone for datasettet; brukes til å vise tidspunkter i forklaringen.
+ *   Selve sammenligningen skjer alltid på tidspunkter (ms), så klokkeslett og sommertid blir riktig.
+ * @property {boolean} [explain=true] - Sett false for å hoppe over forklaringsteksten (raskere ved mange oppslag).
  */
 
 /**
@@ -54,42 +79,101 @@
  * @returns {Object} result
  */
 export function resolveVersion(versions, purchaseDate, travelDate, options = {}) {
-  const { inclusiveEnd = true } = options;
+  const { inclusiveEnd = true, dimensions = null } = options;
   const p = purchaseDate instanceof Date ? purchaseDate.getTime() : purchaseDate;
   const t = travelDate instanceof Date ? travelDate.getTime() : travelDate;
 
   if (!Array.isArray(versions) || versions.length === 0) {
-    return baseResult(null, [], [], [], p, t, options, 'NO_AVAILABLE_VERSIONS', buildExplanation(null, [], [], [], p, t, 'NO_AVAILABLE_VERSIONS', inclusiveEnd));
+    return baseResult(null, [], [], [], p, t, options, 'NO_AVAILABLE_VERSIONS', explain(options, null, [], [], [], p, t, 'NO_AVAILABLE_VERSIONS', inclusiveEnd));
+  }
+
+  if (!hasDimensionQuery(dimensions)) {
+    return resolveAmong(versions, p, t, options);
   }
 
+  // Bare versjoner i samme produkt/marked/kanal konkurrerer. Mest spesifikke nivå prøves først,
+  // deretter faller vi tilbake til versjoner med wildcard/default for dimensjonene.
+  const tiers = groupBySpecificity(versions, dimensions);
+  if (tiers.length === 0) {
+    return baseResult(null, [], [], [], p, t, options, 'NO_VERSIONS_FOR_DIMENSIONS', explain(options, null, [], [], [], p, t, 'NO_VERSIONS_FOR_DIMENSIONS', inclusiveEnd, { dimensions }));
+  }
+  const exactSpecificity = activeDimensionKeys(dimensions).length;
+  for (const tier of tiers) {
+    const result = resolveAmong(tier.versions, p, t, options);
+    if (result.match) {
+      if (tier.specificity < exactSpecificity) {
+        result.fallback = true;
+        if (options.explain !== false) result.explanation += ` Ingen versjon spesifikk for ${formatDimensions(dimensions)} dekket reisen, så en mer generell (wildcard) versjon ble brukt.`;
+      }
+      return result;
+    }
+  }
+
+  // Ingen nivå ga treff – rapporter på hele utvalget slik at reason og lister blir riktige.
+  return resolveAmong(tiers.flatMap(tier => tier.versions), p, t, options);
+}
+
+// Siste beregnede coverageEnd per versjon; close og tidssone sjekkes siden versjoner flyttes ved dra-og-slipp
+const coverageEndCache = new WeakMap();
+
+/**
+ * Første tidspunkt (ms) en versjon ikke lenger dekker, altså slutten av gyldighetsperioden som eksklusiv grense.
+ * Med inklusiv slutt dekker en close på midnatt hele den kalenderdagen; ellers er close selv med.
+ * @param {Object} version - Versjon med close (ms)
+ * @param {{inclusiveEnd?:boolean, timeZone?:string}} [options]
+ * @returns {number}
+ */
+export function coverageEnd(version, { inclusiveEnd = true, timeZone } = {}) {
+  if (!inclusiveEnd) return version.close;
+  const cached = coverageEndCache.get(version);
+  if (cached && cached.close === version.close && cached.timeZone === timeZone) return cached.end;
+  const end = startOfDay(version.close, timeZone) === version.close ? addCalendarDays(version.close, 1, timeZone) : version.close + 1;
+  coverageEndCache.set(version, { close: version.close, timeZone, end });
+  return end;
+}
+
+/**
+ * Kjerneregelen, anvendt på en allerede avgrenset mengde versjoner.
+ */
+function resolveAmong(versions, p, t, options) {
+  const { inclusiveEnd = true } = options;
+
   // Alle versjoner sortert etter publishDate (stigende) – ikke påkrevd men nyttig for determinisme.
   const sorted = [...versions].sort((a, b) => a.publishDate - b.publishDate);
 
-  // Filtrer tilgjengelige ved purchaseDate
-  const available = sorted.filter(v => v.publishDate <= p);
+  // Filtrer tilgjengelige ved purchaseDate (publisert og ikke trukket tilbake)
+  const isWithdrawn = (v) => v.withdrawnDate !== undefined && v.withdrawnDate !== null && v.withdrawnDate <= p;
+  const published = sorted.filter(v => v.publishDate <= p);
+  const available = published.filter(v => !isWithdrawn(v));
 
   // inRange helper
-  const inRange = (v) => inclusiveEnd ? (v.open <= t && t <= v.close) : (v.open <= t && t < v.close);
+  const inRange = (v) => v.open <= t && t < coverageEnd(v, { inclusiveEnd, timeZone: options.timeZone });
   const futureCovering = sorted.filter(v => v.publishDate > p && inRange(v));
+  const withdrawn = published.filter(v => isWithdrawn(v) && inRange(v));
   if (available.length === 0) {
-    return baseResult(null, [], available, futureCovering, p, t, options, 'NO_AVAILABLE_VERSIONS', buildExplanation(null, [], available, futureCovering, p, t, 'NO_AVAILABLE_VERSIONS', inclusiveEnd));
+    const reason = withdrawn.length > 0 ? 'VERSION_WITHDRAWN' : 'NO_AVAILABLE_VERSIONS';
+    return withWithdrawn(baseResult(null, [], available, futureCovering, p, t, options, reason, explain(options, null, [], available, futureCovering, p, t, reason, inclusiveEnd, { withdrawn })), withdrawn);
   }
 
   // Gyldighetsfunksjon
   const candidates = available.filter(inRange);
   if (candidates.length === 0) {
-    return baseResult(null, candidates, available, futureCovering, p, t, options, 'NO_VERSION_COVERS_TRAVEL_DATE', buildExplanation(null, candidates, available, futureCovering, p, t, 'NO_VERSION_COVERS_TRAVEL_DATE', inclusiveEnd));
+    const reason = withdrawn.length > 0 ? 'VERSION_WITHDRAWN' : 'NO_VERSION_COVERS_TRAVEL_DATE';
+    return withWithdrawn(baseResult(null, candidates, available, futureCovering, p, t, options, reason, explain(options, null, candidates, available, futureCovering, p, t, reason, inclusiveEnd, { withdrawn })), withdrawn);
   }
 
-  // Velg nyeste (høyeste publishDate). Hvis tie, velg den med senest open (fallback).
-  let match = candidates.reduce((acc, cur) => {
-    if (!acc) return cur;
-    if (cur.publishDate > acc.publishDate) return cur;
-    if (cur.publishDate === acc.publishDate && cur.open > acc.open) return cur;
-    return acc;
-  }, null);
+  // Presedensstrategien velger vinner (standard: høyeste publishDate, deretter senest open).
+  const decision = pickWinner(candidates, options.strategy, sorted);
+  const match = decision.match;
 
-  return baseResult(match, candidates, available, futureCovering, p, t, options, 'OK', buildExplanation(match, candidates, available, futureCovering, p, t, 'OK', inclusiveEnd));
+  const result = baseResult(match, candidates, available, futureCovering, p, t, options, 'OK', explain(options, match, candidates, available, futureCovering, p, t, 'OK', inclusiveEnd, { decision, withdrawn }));
+  result.decidedBy = decision.decidedBy ? decision.decidedBy.id : null;
+  return withWithdrawn(result, withdrawn);
+}
+
+function withWithdrawn(result, withdrawn) {
+  result.withdrawn = withdrawn;
+  return result;
 }
 
 function baseResult(match, candidates, available, futureCovering, purchaseDate, travelDate, options, reason, explanation) {
@@ -99,19 +183,36 @@ function baseResult(match, candidates, available, futureCovering, purchaseDate,
     candidates,
     available,
     futureCovering,
+    withdrawn: [],
     purchaseDate,
     travelDate,
-    options: { inclusiveEnd: options.inclusiveEnd !== false },
+    options: { inclusiveEnd: options.inclusiveEnd !== false, dimensions: options.dimensions || null, timeZone: options.timeZone || null },
+    fallback: false,
+    strategy: getStrategy(options.strategy).id,
+    decidedBy: null,
     explanation
   };
 }
 
-function fmt(d) { return new Date(d).toLocaleDateString(); }
+// Forklaringen er den dyreste delen av et oppslag; den kan slås av med { explain: false }.
+function explain(options, match, candidates, available, futureCovering, p, t, reason, inclusiveEnd, extra = {}) {
+  if (options.explain === false) return '';
+  return buildExplanation(match, candidates, available, futureCovering, p, t, reason, inclusiveEnd, { ...extra, timeZone: options.timeZone });
+}
 
-function buildExplanation(match, candidates, available, futureCovering, purchaseDate, travelDate, reason, inclusiveEnd) {
+function buildExplanation(match, candidates, available, futureCovering, purchaseDate, travelDate, reason, inclusiveEnd, { dimensions = null, decision = null, withdrawn = [], timeZone } = {}) {
+  // Tidspunkter vises i datasettets tidssone, med klokkeslett når de ikke er midnatt
+  const fmt = (d) => formatInstant(d, timeZone);
   const pStr = fmt(purchaseDate);
   const tStr = fmt(travelDate);
   const endWord = inclusiveEnd ? 'inkludert' : 'eksklusiv';
+  if (reason === 'NO_VERSIONS_FOR_DIMENSIONS') {
+    return `Ingen versjoner gjelder for ${formatDimensions(dimensions)}, heller ikke via wildcard.`;
+  }
+  if (reason === 'VERSION_WITHDRAWN') {
+    const names = withdrawn.map(v => `${v.version} (trukket ${fmt(v.withdrawnDate)})`).join(', ');
+    return `Reisedato ${tStr} var bare dekket av versjon(er) som var trukket fra salg før kjøpsdato ${pStr}: ${names}.`;
+  }
   if (reason === 'NO_AVAILABLE_VERSIONS') {
     return `Ingen versjoner var publisert på kjøpsdato ${pStr}. Første publisering er senere enn kjøpsdato.`;
   }
@@ -128,8 +229,14 @@ function buildExplanation(match, candidates, available, futureCovering, purchase
     const open = fmt(match.open);
     const close = fmt(match.close);
     let expl = `${match.version} fordi den var publisert (${pub} er før kjøpsdato ${pStr}) og reisedato ${tStr} ligger innenfor gyldighetsperioden ${open} – ${close} (${endWord} slutt).`;
-    if (candidates.length > 1) {
-      expl += ` Det fantes ${candidates.length - 1} annen/andre eldre kandidat(er) som også dekket reisedatoen, men ${match.version} er nyere (senere publishDate).`;
+    if (candidates.length > 1 && decision) {
+      const rule = decision.decidedBy
+        ? decision.decidedBy.describe(match, decision.runnerUp, timeZone)
+        : `${match.version} og ${decision.runnerUp.version} er helt like etter regelen, så første i publiseringsrekkefølge ble valgt`;
+      expl += ` Det fantes ${candidates.length - 1} annen/andre kandidat(er) som også dekket reisedatoen. Regel «${decision.strategy.label}» avgjorde: ${rule}.`;
+    }
+    if (withdrawn.length > 0) {
+      expl += ` ${withdrawn.map(v => v.version).join(', ')} dekket også reisedatoen, men var trukket fra salg før kjøpsdato.`;
     }
     if (futureCovering.length > 0) {
       const latestFuture = futureCovering[futureCovering.length - 1];
@@ -0,0 +1,125 @@
+/**
+ * Version Roles Module
+ * Sorts every version into the role it played in a resolveVersion result, with a short reason for
+ * the ones that lost, and the column style for each role. Also describes a version's status at the
+ * current purchase and travel dates, for the column tooltip.
+ *
+ * Roles:
+ *  winner     - the resolved version
+ *  candidate  - available and covering the travel date, but lost on the precedence strategy
+ *  available  - published on the purchase date, but does not cover the travel date
+ *  future     - covers the travel date, but is published after the purchase date
+ *  irrelevant - neither (or withdrawn, or outside the dimension filter)
+ */
+
+import { describeLoss } from './precedenceStrategies.js';
+import { coverageEnd } from './versionResolver.js';
+import { formatInstant, calendarDaysBetween } from './timeZone.js';
+import { columnColors } from './versionStyle.js';
+
+export const ROLE_LABELS = {
+  winner: 'Gyldig versjon',
+  candidate: 'Tapende kandidat',
+  available: 'Publisert, dekker ikke reisedato',
+  future: 'Dekker reisedato, publisert senere',
+  irrelevant: 'Ikke aktuell'
+};
+
+const ROLE_STYLES = {
+  winner: { fillOpacity: 1, strokeDasharray: [] },
+  candidate: { fillOpacity: 1, strokeDasharray: [5, 3] },
+  available: { fillOpacity: 0.75, strokeDasharray: [] },
+  future: { fillOpacity: 0.4, strokeDasharray: [4, 4] },
+  irrelevant: { fillOpacity: 0.15, strokeDasharray: [] }
+};
+
+/**
+ * Role and reason for each version
+ * @param {Array<Object>} versions - The versions shown (chartData entries)
+ * @param {Object} result - resolveVersion result for the same versions
+ * @param {Object} [options] - ResolveOptions used for the result (strategy, timeZone)
+ * @returns {Map<Object, {role:string, reason:string}>} Keyed by the version object
+ */
+export function classifyVersions(versions, result, options = {}) {
+  const fmt = (ts) => formatInstant(ts, options.timeZone);
+  const candidates = new Set(result.candidates || []);
+  const available = new Set(result.available || []);
+  const future = new Set(result.futureCovering || []);
+  const withdrawn = new Set(result.withdrawn || []);
+  const roles = new Map();
+
+  (versions || []).forEach(v => {
+    if (result.match === v) {
+      roles.set(v, { role: 'winner', reason: 'Valgt for kjøps- og reisedato' });
+    } else if (candidates.has(v)) {
+      const why = describeLoss(result.match, v, result.candidates, options.strategy, versions, options.timeZone);
+      roles.set(v, { role: 'candidate', reason: `Tapte mot ${result.match.version}: ${why}` });
+    } else if (future.has(v)) {
+      roles.set(v, { role: 'future', reason: `Tapte: publiseres ${fmt(v.publishDate)}, etter kjøpsdato` });
+    } else if (available.has(v)) {
+      roles.set(v, { role: 'available', reason: `Tapte: gyldig ${fmt(v.open)} – ${fmt(v.close)}, dekker ikke reisedato` });
+    } else if (withdrawn.has(v)) {
+      roles.set(v, { role: 'irrelevant', reason: `Tapte: trukket fra salg ${fmt(v.withdrawnDate)}, før kjøpsdato` });
+    } else {
+      roles.set(v, { role: 'irrelevant', reason: 'Ikke vurdert: publisert senere og dekker ikke reisedato, eller utenfor filteret' });
+    }
+  });
+  return roles;
+}
+
+// "1 dag" / "3 dager"
+function days(n) {
+  return `${n} ${Math.abs(n) === 1 ? 'dag' : 'dager'}`;
+}
+
+/**
+ * Status of a version at a purchase and travel date: published yet, covers the travel date, how long
+ * it is valid and how long after the travel date it expires
+ * @param {Object} version - chartData entry
+ * @param {Object} dates
+ * @param {number} dates.purchaseDate
+ * @param {number} dates.travelDate
+ * @param {boolean} [dates.inclusiveEnd=true] - Whether the close date itself is covered
+ * @param {string} [dates.timeZone] - Days are counted in this zone
+ * @returns {Array<string>} One line each
+ */
+export function describeVersionStatus(version, { purchaseDate, travelDate, inclusiveEnd = true, timeZone }) {
+  const between = (a, b) => calendarDaysBetween(a, b, timeZone);
+  const lines = [];
+  if (version.publishDate > purchaseDate) {
+    lines.push(`Ikke publisert ennå: publiseres ${days(between(purchaseDate, version.publishDate))} etter kjøpsdato`);
+  } else if (version.withdrawnDate !== undefined && version.withdrawnDate !== null && version.withdrawnDate <= purchaseDate) {
+    lines.push(`Trukket fra salg ${days(between(version.withdrawnDate, purchaseDate))} før kjøpsdato`);
+  } else {
+    lines.push('Publisert og i salg på kjøpsdato');
+  }
+  const covers = version.open <= travelDate && travelDate < coverageEnd(version, { inclusiveEnd, timeZone });
+  if (covers) lines.push('Dekker reisedato');
+  else if (travelDate < version.open) lines.push(`Dekker ikke reisedato: gyldig fra ${days(between(travelDate, version.open))} etter reisedato`);
+  else lines.push('Dekker ikke reisedato');
+  lines.push(`Varighet: ${days(between(version.open, version.close))}`);
+  const untilExpiry = between(travelDate, version.close);
+  if (untilExpiry > 0) lines.push(`Utløper ${days(untilExpiry)} etter reisedato`);
+  else if (untilExpiry === 0) lines.push('Utløper på reisedato');
+  else lines.push(`Utløpt ${days(-untilExpiry)} før reisedato`);
+  return lines;
+}
+
+/**
+ * Column colors and line style for a version in a role
+ * @param {Object} version - chartData entry
+ * @param {string} role - One of ROLE_LABELS' keys
+ * @param {Object} [themeColors] - Theme colors (see chartTheme.js)
+ * @returns {{fill:string, stroke:string, strokeWidth:number, text:string, fillOpacity:number, strokeDasharray:number[]}}
+ */
+export function roleColumnStyle(version, role, themeColors = {}) {
+  const style = { ...columnColors(version, role === 'winner', themeColors), ...(ROLE_STYLES[role] || ROLE_STYLES.available) };
+  if (role === 'candidate') {
+    // Outlined like the winner, so the runners-up stand out from the rest
+    style.stroke = columnColors(version, true, themeColors).stroke;
+    style.strokeWidth = 2;
+  }
+  // Faint columns show the chart background through them, so their label uses the page text color
+  if (style.fillOpacity < 0.5 && themeColors.text) style.text = themeColors.text;
+  return style;
+}
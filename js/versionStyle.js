@@ -0,0 +1,96 @@
+/**
+ * Version Style Module
+ * Column colors for versions: the default palette, an optional per-version `color`, and how either
+ * combines with the "valid version" highlight. Also helpers for the metadata fields (tags, notes).
+ *
+ * Colors are "#rrggbb" strings; callers wrap them in am5.color().
+ */
+
+export const DEFAULT_COLUMN_COLOR = '#aeb7e2';
+export const VALID_COLUMN_COLOR = '#181C56';
+
+const DARK_TEXT = '#222222';
+const LIGHT_TEXT = '#ffffff';
+
+/**
+ * "#rgb" or "#rrggbb"
+ */
+export function isValidColor(value) {
+  return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value.trim());
+}
+
+/**
+ * Lowercase "#rrggbb", or null for anything that is not a color
+ */
+export function normalizeColor(value) {
+  if (!isValidColor(value)) return null;
+  const hex = value.trim().slice(1).toLowerCase();
+  return '#' + (hex.length === 3 ? hex.split('').map(c => c + c).join('') : hex);
+}
+
+function toRgb(hex) {
+  const n = parseInt(normalizeColor(hex).slice(1), 16);
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+function toHex(rgb) {
+  return '#' + rgb.map(c => Math.round(Math.max(0, Math.min(255, c))).toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Mix a color towards black (amount < 0) or white (amount > 0), amount in [-1, 1]
+ */
+export function shadeColor(hex, amount) {
+  const target = amount < 0 ? 0 : 255;
+  return toHex(toRgb(hex).map(c => c + (target - c) * Math.abs(amount)));
+}
+
+/**
+ * Whether light text reads better than dark text on the color (WCAG relative luminance)
+ */
+export function isDarkColor(hex) {
+  const [r, g, b] = toRgb(hex).map(c => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b <= 0.4;
+}
+
+/**
+ * Dark or light text, whichever reads better on the background
+ */
+export function textColorOn(hex) {
+  return isDarkColor(hex) ? LIGHT_TEXT : DARK_TEXT;
+}
+
+/**
+ * Colors for a version column. A custom color is kept recognisable when the version is the valid
+ * one: the fill gets darker and the column gets a thick highlight outline.
+ * @param {Object} version - chartData entry (uses `color`)
+ * @param {boolean} isValid - Whether this is the resolved version
+ * @param {{column?:string, validColumn?:string}} [themeColors] - Theme column colors (see chartTheme.js)
+ * @returns {{fill:string, stroke:string, strokeWidth:number, text:string}}
+ */
+export function columnColors(version, isValid, { column = DEFAULT_COLUMN_COLOR, validColumn = VALID_COLUMN_COLOR } = {}) {
+  const custom = normalizeColor(version && version.color);
+  if (!custom) {
+    const fill = isValid ? validColumn : column;
+    return { fill, stroke: fill, strokeWidth: 1, text: textColorOn(fill) };
+  }
+  const fill = isValid ? shadeColor(custom, -0.35) : custom;
+  return {
+    fill,
+    stroke: isValid ? validColumn : shadeColor(custom, -0.25),
+    strokeWidth: isValid ? 3 : 1,
+    text: textColorOn(fill)
+  };
+}
+
+/**
+ * Tags from an array or a "a, b" / "a|b" string: trimmed, without blanks and duplicates
+ * @returns {string[]}
+ */
+export function normalizeTags(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,|]/);
+  return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
@@ -0,0 +1,94 @@
+/**
+ * Withdrawal Markers Module
+ * Draws the sale window (publish → withdrawal) of withdrawn versions and a cut-off bar at the withdrawal date
+ */
+
+export class WithdrawalMarkers {
+    constructor(chart, xAxis, yAxis, color = '#c62828') {
+        this.chart = chart;
+        this.xAxis = xAxis;
+        this.yAxis = yAxis;
+        this.color = color;
+        this.saleWindowSeries = null;
+        this.cutOffSeries = null;
+
+        this.initialize();
+    }
+
+    /**
+     * Create the sale window and cut-off series
+     */
+    initialize() {
+        // Faint column from publish date up to withdrawal date: the period the version was on sale
+        this.saleWindowSeries = this.chart.series.push(am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Sale Window",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "withdrawnDate",
+            openValueYField: "publishDate",
+            fill: am5.color(this.color),
+            fillOpacity: 0.06,
+            stroke: am5.color(this.color),
+            strokeOpacity: 0.3,
+            strokeDasharray: [3, 3]
+        }));
+        this.saleWindowSeries.columns.template.set("interactive", false);
+        this.saleWindowSeries.set("layer", -1);
+
+        // Thin bar at the withdrawal date: purchases above this line can not resolve to the version
+        this.cutOffSeries = this.chart.series.push(am5xy.ColumnSeries.new(this.chart.root, {
+            name: "Withdrawal",
+            xAxis: this.xAxis,
+            yAxis: this.yAxis,
+            valueXField: "close",
+            openValueXField: "open",
+            valueYField: "withdrawnDate",
+            fill: am5.color(this.color),
+            stroke: am5.color(this.color)
+        }));
+        this.cutOffSeries.columns.template.setAll({
+            height: 4,
+            tooltipText: "{versionFormatted} trukket fra salg {withdrawnDateFormatted}"
+        });
+    }
+
+    /**
+     * Update markers from chart data (versions without withdrawnDate are skipped)
+     */
+    updateData(data) {
+        const withdrawn = (data || []).filter(v => v.withdrawnDate !== undefined && v.withdrawnDate !== null);
+        if (this.saleWindowSeries) this.saleWindowSeries.data.setAll(withdrawn);
+        if (this.cutOffSeries) this.cutOffSeries.data.setAll(withdrawn);
+    }
+
+    /**
+     * Show or hide the markers
+     */
+    setVisible(visible) {
+        if (this.saleWindowSeries) this.saleWindowSeries.set('visible', visible);
+        if (this.cutOffSeries) this.cutOffSeries.set('visible', visible);
+    }
+
+    /**
+     * Set the marker color
+     */
+    setColor(colorHex) {
+        this.color = colorHex;
+        const color = am5.color(colorHex);
+        [this.saleWindowSeries, this.cutOffSeries].forEach(series => {
+            if (!series) return;
+            series.set('fill', color);
+            series.set('stroke', color);
+        });
+    }
+
+    /**
+     * Dispose of all series
+     */
+    dispose() {
+        if (this.saleWindowSeries) { this.saleWindowSeries.dispose(); this.saleWindowSeries = null; }
+        if (this.cutOffSeries) { this.cutOffSeries.dispose(); this.cutOffSeries = null; }
+    }
+}
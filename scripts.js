@@ -4,9 +4,36 @@
  */
 
 import { ChartManager } from './js/chartManager.js';
+import { formatDimensions } from './js/versionDimensions.js';
+import { parseBookings } from './js/batchResolver.js';
+import { parseVersionFile } from './js/versionImport.js';
+import { exportVersionsJson, exportVersionsCsv, exportVersionsIcs } from './js/versionExport.js';
+import { exportChartImage, IMAGE_FORMATS } from './js/chartImageExport.js';
+import { PRECEDENCE_STRATEGIES } from './js/precedenceStrategies.js';
+import { DEFAULT_TIME_ZONE, formatInputDate, formatInputDateTime, parseInputDateTime, addCalendarDays } from './js/timeZone.js';
+import { ScenarioStore } from './js/scenarioStore.js';
+import { DataGenerator, DATA_PRESETS, DEFAULT_PRESET } from './js/dataGenerator.js';
+import { randomSeed } from './js/seededRandom.js';
+import { DEFAULT_COLUMN_COLOR } from './js/versionStyle.js';
+import { encodeState, decodeState, payloadFromHash, buildStateUrl } from './js/stateLink.js';
+import { DatePlayback, PLAYBACK_MODES } from './js/datePlayback.js';
+import { COMPARE_MODES } from './js/compareChart.js';
+import { escapeHtml } from './js/html.js';
+import { THEME_PRESETS, THEME_AUTO, CUSTOM_THEME, CUSTOMIZABLE_COLORS, resolveTheme, themeCssVariables, loadThemeSettings, saveThemeSettings } from './js/chartTheme.js';
 
 // Global variables
 let chartManager = null;
+let batchBookings = null; // Last uploaded booking list, re-resolved when the data changes
+let scenarioStore = null;
+let currentScenarioId = null;
+let autosaveSuspended = false; // true while a scenario is being loaded
+let linkPayload = null; // state payload currently in the URL fragment
+let themeSettings = null; // { preference, custom } from chartTheme.loadThemeSettings
+let playback = null; // DatePlayback behind the playback panel
+const darkSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+
+// Time zones offered in the selector (the browser's own zone is always added)
+const TIME_ZONES = ['UTC', 'Europe/Oslo', 'Europe/London', 'America/New_York', 'Asia/Tokyo'];
 
 /**
  * Initialize the application
@@ -16,10 +43,24 @@ async function initializeApp() {
         console.log("Initializing Version Visualization Chart...");
 
         // Create chart manager
-        chartManager = new ChartManager("chartdiv");
+        chartManager = new ChartManager("chartdiv", "comparechartdiv");
+
+        // Colors are known before the chart is drawn, so it does not flash in the light theme
+        themeSettings = loadThemeSettings();
+        applyTheme();
+
+        // Restore the scenario that was open last time (random sample data on first visit)
+        scenarioStore = new ScenarioStore();
+        const lastScenarioId = scenarioStore.getLastUsedId();
+        const lastScenario = lastScenarioId ? scenarioStore.get(lastScenarioId) : null;
+
+        // A shared link (#s=...) wins over the last scenario, unless it is that scenario's own link (page reload)
+        const link = await readLinkState(location.hash);
+        const linkIsLastScenario = link.state && lastScenario && await encodeState(lastScenario.state) === link.payload;
+        const openLink = link.state && !linkIsLastScenario;
 
         // Initialize the chart
-        const success = await chartManager.initialize();
+        const success = await chartManager.initialize(openLink ? link.state : (lastScenario ? lastScenario.state : null));
 
         if (success) {
             console.log("Chart initialized successfully");
@@ -27,6 +68,30 @@ async function initializeApp() {
             // Initialize form controls
             initializeFormControls();
 
+            // Build product/market/channel filter from the data's dimensions
+            initializeDimensionFilter();
+
+            // Scenario switcher and autosave; a shared link is stored as a new scenario
+            initializeScenarioControls(openLink
+                ? scenarioStore.create('Delt lenke', chartManager.getState())
+                : (lastScenario ? lastScenarioId : null));
+            if (link.error) setScenarioStatus(link.error);
+
+            // Keep the URL fragment in sync with the chart
+            initializeLinkSync();
+
+            // Undo/redo buttons, keyboard shortcuts and history list
+            initializeHistoryControls();
+
+            // Theme picker and custom theme colors
+            initializeThemeControls();
+
+            // Purchase/travel date playback
+            initializePlaybackControls();
+
+            // Compare with a second version set
+            initializeCompareControls();
+
             // Set up event listeners
             setupEventListeners();
         } else {
@@ -41,26 +106,10 @@ async function initializeApp() {
  * Initialize form controls for all versions
  */
 function initializeFormControls() {
-    const chartData = chartManager.getChartData();
-    const formsContainer = document.getElementById('version-forms');
-
-    if (!formsContainer) {
-        console.warn("Forms container not found");
-        return;
-    }
-
     // Set initial values for static date inputs above chart
-    const purchaseInput = document.getElementById('purchaseDate');
-    const travelInput = document.getElementById('travelDate');
-    if (purchaseInput) purchaseInput.value = dateToInputFormat(chartManager.getPurchaseDate());
-    if (travelInput) travelInput.value = dateToInputFormat(chartManager.getTravelDate());
+    syncDateInputs();
 
-    let formsHtml = '';
-    // Generate forms for all versions only (no purchase/travel date controls here)
-    for (let i = 0; i < chartData.length; i++) {
-        formsHtml += createVersionForm(i, chartData[i]);
-    }
-    formsContainer.innerHTML = formsHtml;
+    renderVersionForms();
 
     // Add event listener for purchase date
     const purchaseDateEl = document.getElementById('purchaseDate');
@@ -74,19 +123,377 @@ function initializeFormControls() {
         travelDateEl.addEventListener('change', handleTravelDateChange);
     }
 
+    // Add event listeners for trip (return date and policy)
+    const returnDateEl = document.getElementById('returnDate');
+    if (returnDateEl) {
+        returnDateEl.addEventListener('change', handleReturnDateChange);
+    }
+    // Precedence strategy selector
+    const strategyEl = document.getElementById('precedenceStrategy');
+    if (strategyEl) {
+        strategyEl.innerHTML = Object.keys(PRECEDENCE_STRATEGIES)
+            .map(id => `<option value="${id}">${PRECEDENCE_STRATEGIES[id].label}</option>`)
+            .join('');
+        strategyEl.value = chartManager.getStrategy();
+        strategyEl.addEventListener('change', () => {
+            chartManager.setStrategy(strategyEl.value);
+            runBatch();
+        });
+    }
+
+    const tripPolicyEl = document.getElementById('tripPolicy');
+    if (tripPolicyEl) {
+        tripPolicyEl.value = chartManager.getTripPolicy();
+        tripPolicyEl.addEventListener('change', () => chartManager.setTripPolicy(tripPolicyEl.value));
+    }
+
+    // Time zone the dataset's dates are entered and shown in
+    const timeZoneEl = document.getElementById('timeZone');
+    if (timeZoneEl) {
+        const zones = [...new Set([DEFAULT_TIME_ZONE, ...TIME_ZONES])];
+        timeZoneEl.innerHTML = zones.map(tz => `<option value="${tz}">${tz}</option>`).join('');
+        timeZoneEl.value = chartManager.getTimeZone();
+        timeZoneEl.addEventListener('change', () => handleTimeZoneChange(timeZoneEl.value));
+    }
+
+    const snapUnitEl = document.getElementById('snapUnit');
+    if (snapUnitEl) {
+        snapUnitEl.value = chartManager.getSnapUnit() || '';
+        snapUnitEl.addEventListener('change', () => chartManager.setSnapUnit(snapUnitEl.value || null));
+    }
+
+    const inclusiveEndEl = document.getElementById('inclusiveEnd');
+    if (inclusiveEndEl) {
+        inclusiveEndEl.value = String(chartManager.getInclusiveEnd());
+        inclusiveEndEl.addEventListener('change', () => {
+            chartManager.setInclusiveEnd(inclusiveEndEl.value === 'true');
+            runBatch();
+        });
+    }
+}
+
+/**
+ * Write purchase, travel and return date from the chart into the inputs above it
+ */
+function syncDateInputs() {
+    const purchaseInput = document.getElementById('purchaseDate');
+    const travelInput = document.getElementById('travelDate');
+    const returnInput = document.getElementById('returnDate');
+    const returnDate = chartManager.getReturnDate();
+    if (purchaseInput) purchaseInput.value = dateToInputFormat(chartManager.getPurchaseDate());
+    if (travelInput) travelInput.value = dateToInputFormat(chartManager.getTravelDate());
+    if (returnInput) returnInput.value = returnDate ? dateToInputFormat(returnDate) : '';
+}
+
+/**
+ * Bring every control in line with the chart after its whole state was replaced
+ */
+function syncControlsFromChart() {
+    syncDateInputs();
+    const values = {
+        precedenceStrategy: chartManager.getStrategy(),
+        tripPolicy: chartManager.getTripPolicy(),
+        timeZone: chartManager.getTimeZone(),
+        snapUnit: chartManager.getSnapUnit() || '',
+        inclusiveEnd: String(chartManager.getInclusiveEnd())
+    };
+    Object.keys(values).forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.value = values[id];
+    });
+    renderVersionForms();
+    initializeDimensionFilter();
+    runBatch();
+}
+
+/**
+ * Wire the scenario switcher; create a first scenario from the current chart if none is open
+ */
+function initializeScenarioControls(scenarioId) {
+    currentScenarioId = scenarioId || scenarioStore.create('Scenario 1', chartManager.getState());
+    scenarioStore.setLastUsed(currentScenarioId);
+    renderScenarioSelect();
+
+    const selectEl = document.getElementById('scenarioSelect');
+    if (selectEl) selectEl.addEventListener('change', () => loadScenario(selectEl.value));
+
+    const actions = {
+        new: () => {
+            const name = prompt('Navn på nytt scenario:', 'Nytt scenario');
+            if (name === null) return;
+            const id = scenarioStore.create(name, {
+                ...chartManager.getState(),
+                versions: generateVersions().versions
+            });
+            loadScenario(id);
+        },
+        duplicate: () => {
+            const source = scenarioStore.get(currentScenarioId);
+            const name = prompt('Navn på kopien:', `${source.name} (kopi)`);
+            if (name === null) return;
+            scenarioStore.flushScheduledSave();
+            loadScenario(scenarioStore.duplicate(currentScenarioId, name));
+        },
+        rename: () => {
+            const name = prompt('Nytt navn:', scenarioStore.get(currentScenarioId).name);
+            if (!name) return;
+            scenarioStore.rename(currentScenarioId, name);
+            renderScenarioSelect();
+        },
+        delete: () => {
+            if (!confirm(`Slette scenariet «${scenarioStore.get(currentScenarioId).name}»?`)) return;
+            scenarioStore.cancelScheduledSave();
+            scenarioStore.remove(currentScenarioId);
+            const next = scenarioStore.list()[0];
+            if (next) {
+                loadScenario(next.id);
+            } else {
+                // Keep the chart as it is, stored as a fresh scenario
+                currentScenarioId = scenarioStore.create('Scenario 1', chartManager.getState());
+                scenarioStore.setLastUsed(currentScenarioId);
+                renderScenarioSelect();
+            }
+        }
+    };
+    document.querySelectorAll('button[data-scenario-action]').forEach(button => {
+        button.addEventListener('click', () => actions[button.dataset.scenarioAction]());
+    });
+
+    // Autosave every change to the open scenario
+    document.addEventListener('chartStateChanged', () => {
+        if (autosaveSuspended || !currentScenarioId) return;
+        setScenarioStatus('Ulagrede endringer …');
+        scenarioStore.scheduleSave(currentScenarioId, () => chartManager.getState(), (ok) => {
+            setScenarioStatus(ok ? `Lagret ${new Date().toLocaleTimeString()}` : 'Kunne ikke lagre (lagringsplass full eller blokkert)');
+        });
+    });
+}
+
+/**
+ * Open a stored scenario
+ */
+function loadScenario(id) {
+    const scenario = scenarioStore.get(id);
+    if (!scenario) return;
+    scenarioStore.flushScheduledSave();
+    autosaveSuspended = true;
+    try {
+        chartManager.applyState(scenario.state);
+        chartManager.resetHistory(`Åpnet ${scenario.name}`);
+        syncControlsFromChart();
+    } finally {
+        autosaveSuspended = false;
+    }
+    currentScenarioId = id;
+    scenarioStore.setLastUsed(id);
+    renderScenarioSelect();
+    setScenarioStatus(`Åpnet ${scenario.name}`);
+}
+
+/**
+ * Wire undo/redo: toolbar buttons, Ctrl+Z / Ctrl+Shift+Z (Cmd on Mac) and the history list
+ */
+function initializeHistoryControls() {
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.addEventListener('click', () => applyHistoryStep(() => chartManager.undo()));
+    if (redoBtn) redoBtn.addEventListener('click', () => applyHistoryStep(() => chartManager.redo()));
+
+    const listEl = document.getElementById('history-list');
+    if (listEl) {
+        listEl.addEventListener('click', (event) => {
+            const item = event.target.closest('[data-history-index]');
+            if (item) applyHistoryStep(() => chartManager.jumpToHistory(Number(item.dataset.historyIndex)));
+        });
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+        // Leave text fields to the browser's own undo
+        const target = event.target;
+        if (target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName))) return;
+        const key = event.key.toLowerCase();
+        if (key === 'z' && !event.shiftKey) {
+            event.preventDefault();
+            applyHistoryStep(() => chartManager.undo());
+        } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+            event.preventDefault();
+            applyHistoryStep(() => chartManager.redo());
+        }
+    });
+
+    document.addEventListener('historyChanged', renderHistory);
+    renderHistory();
+}
+
+/**
+ * Run an undo/redo/jump and bring the controls in line with the restored state
+ */
+function applyHistoryStep(step) {
+    if (step()) syncControlsFromChart();
+}
+
+/**
+ * Update the undo/redo buttons and the history list
+ */
+function renderHistory() {
+    const history = chartManager.history;
+    const undoBtn = document.getElementById('undoBtn');
+    const redoBtn = document.getElementById('redoBtn');
+    if (undoBtn) undoBtn.disabled = !history.canUndo();
+    if (redoBtn) redoBtn.disabled = !history.canRedo();
+
+    const listEl = document.getElementById('history-list');
+    if (!listEl) return;
+    listEl.innerHTML = chartManager.getHistory().map((entry, i) => {
+        const classes = [entry.current ? 'current' : '', entry.undone ? 'undone' : ''].filter(Boolean).join(' ');
+        return `<li><button type="button" data-history-index="${i}" class="${classes}">` +
+            `<span class="history-time">${new Date(entry.time).toLocaleTimeString()}</span> ${escapeHtml(entry.label)}</button></li>`;
+    }).reverse().join('');
+}
+
+/**
+ * Decode the chart state from a location hash
+ * @returns {Promise<{payload:string|null, state:Object|null, error:string|null}>}
+ */
+async function readLinkState(hash) {
+    const payload = payloadFromHash(hash);
+    if (!payload) return { payload: null, state: null, error: null };
+    try {
+        return { payload, state: await decodeState(payload), error: null };
+    } catch (error) {
+        console.warn("Could not open shared link:", error);
+        return { payload, state: null, error: `Kunne ikke åpne lenken: ${error.message}` };
+    }
+}
+
+/**
+ * Mirror the chart state into the URL fragment (replaceState, so edits do not pile up in the
+ * browser history), open links pasted into the address bar, and wire the copy link button
+ */
+function initializeLinkSync() {
+    let timer = null;
+    const updateUrl = async () => {
+        const payload = await encodeState(chartManager.getState());
+        if (payload === linkPayload) return;
+        linkPayload = payload;
+        history.replaceState(history.state, '', buildStateUrl(payload));
+    };
+    document.addEventListener('chartStateChanged', () => {
+        clearTimeout(timer);
+        timer = setTimeout(updateUrl, 300);
+    });
+    updateUrl();
+
+    window.addEventListener('hashchange', async () => {
+        const link = await readLinkState(location.hash);
+        if (!link.payload || link.payload === linkPayload) return;
+        if (link.error) {
+            setScenarioStatus(link.error);
+            return;
+        }
+        linkPayload = link.payload;
+        loadScenario(scenarioStore.create('Delt lenke', link.state));
+    });
+
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    if (copyLinkBtn) {
+        copyLinkBtn.addEventListener('click', async () => {
+            clearTimeout(timer);
+            await updateUrl();
+            const url = buildStateUrl(linkPayload);
+            try {
+                await navigator.clipboard.writeText(url);
+                setScenarioStatus('Lenke kopiert');
+            } catch (error) {
+                // Clipboard API unavailable (e.g. plain http): let the user copy it by hand
+                prompt('Kopier lenken:', url);
+            }
+        });
+    }
+}
+
+/**
+ * Fill the scenario select with the stored scenarios
+ */
+function renderScenarioSelect() {
+    const selectEl = document.getElementById('scenarioSelect');
+    if (!selectEl) return;
+    const options = scenarioStore.list()
+        .map(s => `<option value="${s.id}">${escapeHtml(s.name)}</option>`)
+        .join('');
+    selectEl.innerHTML = options;
+    selectEl.value = currentScenarioId;
+
+    const compareSelectEl = document.getElementById('compareScenarioSelect');
+    if (compareSelectEl) {
+        const selected = compareSelectEl.value;
+        compareSelectEl.innerHTML = options;
+        if (scenarioStore.get(selected)) compareSelectEl.value = selected;
+    }
+}
+
+function setScenarioStatus(text) {
+    const el = document.getElementById('scenario-status');
+    if (el) el.textContent = text;
+}
+
+/**
+ * (Re)build the version forms from the current chart data, one per version
+ */
+function renderVersionForms() {
+    const chartData = chartManager.getChartData();
+    const formsContainer = document.getElementById('version-forms');
+
+    if (!formsContainer) {
+        console.warn("Forms container not found");
+        return;
+    }
+
+    let formsHtml = '';
+    // Generate forms for all versions only (no purchase/travel date controls here)
+    for (let i = 0; i < chartData.length; i++) {
+        formsHtml += createVersionForm(i, chartData[i]);
+    }
+    formsContainer.innerHTML = formsHtml;
+
     // Add event listeners for all versions
     for (let i = 0; i < chartData.length; i++) {
         const versionNum = i + 1;
         const publishDateEl = document.getElementById('publishDate' + versionNum);
         const startDateEl = document.getElementById('startDate' + versionNum);
         const endDateEl = document.getElementById('endDate' + versionNum);
+        const withdrawnDateEl = document.getElementById('withdrawnDate' + versionNum);
 
         if (publishDateEl) publishDateEl.addEventListener('change', () => handleDateChange(i));
         if (startDateEl) startDateEl.addEventListener('change', () => handleDateChange(i));
         if (endDateEl) endDateEl.addEventListener('change', () => handleDateChange(i));
+        if (withdrawnDateEl) withdrawnDateEl.addEventListener('change', () => handleDateChange(i));
+
+        ['versionName', 'versionTags', 'versionNotes', 'versionColorOn'].forEach(prefix => {
+            const el = document.getElementById(prefix + versionNum);
+            if (el) el.addEventListener('change', () => handleMetadataChange(i));
+        });
+        const colorEl = document.getElementById('versionColor' + versionNum);
+        if (colorEl) {
+            colorEl.addEventListener('change', () => {
+                // Picking a color turns the custom color on
+                document.getElementById('versionColorOn' + versionNum).checked = true;
+                handleMetadataChange(i);
+            });
+        }
     }
 }
 
+/**
+ * Title line of a version form: name, category and scope
+ */
+function versionTitleHtml(versionData) {
+    const scope = versionData.dimensions ? ` <span class="version-scope">${escapeHtml(formatDimensions(versionData.dimensions))}</span>` : '';
+    const swatch = versionData.color ? `<span class="version-swatch" style="background:${escapeHtml(versionData.color)}"></span>` : '';
+    return `${swatch}${escapeHtml(versionData.version)} (${escapeHtml(versionData.category)})${scope}`;
+}
+
 /**
  * Create form controls for a specific version
  */
@@ -94,23 +501,686 @@ function createVersionForm(versionIndex, versionData) {
     const versionNum = versionIndex + 1;
     return `
         <div class="version-controls">
-            <div class="version-title">${versionData.version} (${versionData.category})</div>
+            <div class="version-header">
+                <div class="version-title" id="versionTitle${versionNum}">${versionTitleHtml(versionData)}</div>
+                <div class="version-actions">
+                    <button type="button" data-version-action="duplicate" data-version-index="${versionIndex}">Dupliser</button>
+                    <button type="button" data-version-action="delete" data-version-index="${versionIndex}">Slett</button>
+                </div>
+            </div>
             <div class="form-row">
                 <div class="form-group">
                     <label for="publishDate${versionNum}">Published Date:</label>
-                    <input type="date" id="publishDate${versionNum}" value="${dateToInputFormat(new Date(versionData.publishDate))}" />
+                    <input type="datetime-local" id="publishDate${versionNum}" value="${dateToInputFormat(new Date(versionData.publishDate))}" />
                 </div>
                 <div class="form-group">
                     <label for="startDate${versionNum}">Start Date:</label>
-                    <input type="date" id="startDate${versionNum}" value="${dateToInputFormat(new Date(versionData.open))}" />
+                    <input type="datetime-local" id="startDate${versionNum}" value="${dateToInputFormat(new Date(versionData.open))}" />
                 </div>
                 <div class="form-group">
                     <label for="endDate${versionNum}">End Date:</label>
-                    <input type="date" id="endDate${versionNum}" value="${dateToInputFormat(new Date(versionData.close))}" />
+                    <input type="datetime-local" id="endDate${versionNum}" value="${dateToInputFormat(new Date(versionData.close))}" />
+                </div>
+                <div class="form-group">
+                    <label for="withdrawnDate${versionNum}">Withdrawn Date:</label>
+                    <input type="datetime-local" id="withdrawnDate${versionNum}" value="${versionData.withdrawnDate ? dateToInputFormat(new Date(versionData.withdrawnDate)) : ''}" />
                 </div>
             </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="versionName${versionNum}">Name:</label>
+                    <input type="text" id="versionName${versionNum}" value="${escapeHtml(versionData.version)}" />
+                </div>
+                <div class="form-group">
+                    <label for="versionTags${versionNum}">Tags (comma separated):</label>
+                    <input type="text" id="versionTags${versionNum}" value="${escapeHtml((versionData.tags || []).join(', '))}" />
+                </div>
+                <div class="form-group version-color-group">
+                    <label for="versionColor${versionNum}">Color:</label>
+                    <span class="version-color-field">
+                        <input type="checkbox" id="versionColorOn${versionNum}" title="Use a custom color" ${versionData.color ? 'checked' : ''} />
+                        <input type="color" id="versionColor${versionNum}" value="${escapeHtml(versionData.color || DEFAULT_COLUMN_COLOR)}" />
+                    </span>
+                </div>
+            </div>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="versionNotes${versionNum}">Notes:</label>
+                    <textarea id="versionNotes${versionNum}" rows="2">${escapeHtml(versionData.notes || '')}</textarea>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Build one select per dimension key (route, market, channel, ...) above the chart
+ */
+function initializeDimensionFilter() {
+    const container = document.getElementById('dimension-filter');
+    if (!container) return;
+
+    const keys = chartManager.getDimensionKeys();
+    if (keys.length === 0) {
+        container.innerHTML = '';
+        container.style.display = 'none';
+        return;
+    }
+
+    const current = chartManager.getDimensionFilter();
+    container.style.display = '';
+    container.innerHTML = keys.map(key => {
+        const options = chartManager.getDimensionValues(key)
+            .map(value => `<option value="${escapeHtml(value)}"${current[key] === value ? ' selected' : ''}>${escapeHtml(value)}</option>`)
+            .join('');
+        return `
+            <div class="date-field">
+                <label for="dimension-${escapeHtml(key)}">${escapeHtml(key)}</label>
+                <select id="dimension-${escapeHtml(key)}" data-dimension="${escapeHtml(key)}">
+                    <option value="">Alle</option>
+                    ${options}
+                </select>
+            </div>
+        `;
+    }).join('');
+
+    container.querySelectorAll('select[data-dimension]').forEach(select => {
+        select.addEventListener('change', handleDimensionFilterChange);
+    });
+}
+
+/**
+ * Handle dimension filter changes
+ */
+function handleDimensionFilterChange() {
+    const filter = {};
+    document.querySelectorAll('#dimension-filter select[data-dimension]').forEach(select => {
+        if (select.value) filter[select.dataset.dimension] = select.value;
+    });
+    console.log("Dimension filter changed to:", filter);
+    chartManager.setDimensionFilter(filter);
+    runBatch();
+}
+
+/**
+ * Read an uploaded booking file (CSV or JSON) and resolve every row
+ */
+async function handleBatchFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    if (!file) return;
+
+    try {
+        const text = await file.text();
+        batchBookings = parseBookings(text, file.name, chartManager.getDimensionKeys());
+        console.log("Loaded", batchBookings.length, "bookings from", file.name);
+        runBatch();
+    } catch (error) {
+        console.error("Failed to read booking file:", error);
+        batchBookings = null;
+        const summaryEl = document.getElementById('batch-summary');
+        if (summaryEl) summaryEl.textContent = 'Kunne ikke lese filen: ' + error.message;
+    }
+}
+
+/**
+ * Read a version file (CSV or JSON), validate it and replace the chart data when every row is valid
+ */
+async function importVersionFile(file) {
+    const statusEl = document.getElementById('import-status');
+    try {
+        const text = await file.text();
+        const { versions, errors, timeZone } = parseVersionFile(text, file.name, { timeZone: chartManager.getTimeZone() });
+        if (errors.length > 0) {
+            console.warn("Version import rejected:", errors);
+            renderImportErrors(file.name, errors);
+            return;
+        }
+        // Show the dates in the zone they were exported in, so wall-clock dates and day boundaries stay put
+        const switchZone = timeZone && timeZone !== chartManager.getTimeZone();
+        if (switchZone) chartManager.setTimeZone(timeZone);
+        chartManager.importData(versions);
+        syncControlsFromChart();
+        console.log("Imported", versions.length, "versions from", file.name);
+        const zoneNote = switchZone ? ` Tidssonen er byttet til ${escapeHtml(timeZone)}, som filen ble eksportert i.` : '';
+        if (statusEl) statusEl.innerHTML = `<div class="coverage-empty">Importerte ${versions.length} versjon(er) fra ${escapeHtml(file.name)}.${zoneNote}</div>`;
+    } catch (error) {
+        console.error("Failed to read version file:", error);
+        if (statusEl) statusEl.textContent = 'Kunne ikke lese filen: ' + error.message;
+    }
+}
+
+/**
+ * Wire the compare panel: pick a saved scenario or a version file to compare with, and how to show it
+ */
+function initializeCompareControls() {
+    const modeEl = document.getElementById('compareMode');
+    if (modeEl) {
+        modeEl.innerHTML = Object.entries(COMPARE_MODES)
+            .map(([value, label]) => `<option value="${value}">${label}</option>`)
+            .join('');
+        modeEl.value = chartManager.getCompareMode();
+        modeEl.addEventListener('change', () => chartManager.setCompareMode(modeEl.value));
+    }
+
+    const scenarioBtn = document.getElementById('compareScenarioBtn');
+    const scenarioSelectEl = document.getElementById('compareScenarioSelect');
+    if (scenarioBtn && scenarioSelectEl) {
+        scenarioBtn.addEventListener('click', () => {
+            const scenario = scenarioStore.get(scenarioSelectEl.value);
+            if (!scenario) return;
+            // The open scenario is compared as last saved, so edits since then show up as differences
+            const versions = Array.isArray(scenario.state.versions) ? scenario.state.versions : [];
+            chartManager.setCompareSet(versions, scenario.name);
+            setCompareStatus(`Sammenligner med ${scenario.name} (${versions.length} versjon(er)).`);
+        });
+    }
+
+    const fileEl = document.getElementById('compareFile');
+    if (fileEl) {
+        fileEl.addEventListener('change', (event) => {
+            const file = event.target.files && event.target.files[0];
+            if (file) loadCompareFile(file);
+            event.target.value = '';
+        });
+    }
+
+    const clearBtn = document.getElementById('compareClearBtn');
+    if (clearBtn) {
+        clearBtn.addEventListener('click', () => {
+            chartManager.clearCompareSet();
+            setCompareStatus('');
+        });
+    }
+}
+
+/**
+ * Read a version file (CSV or JSON) and compare the chart with it when every row is valid
+ */
+async function loadCompareFile(file) {
+    try {
+        const text = await file.text();
+        const { versions, errors, timeZone } = parseVersionFile(text, file.name, { timeZone: chartManager.getTimeZone() });
+        if (errors.length > 0) {
+            console.warn("Compare file rejected:", errors);
+            renderImportErrors(file.name, errors, 'compare-status');
+            return;
+        }
+        chartManager.setCompareSet(versions, file.name);
+        // Both sets share one chart time zone; the instants are right, but days may fall differently
+        const zoneNote = timeZone && timeZone !== chartManager.getTimeZone()
+            ? ` Filen er eksportert i ${timeZone} og vises i ${chartManager.getTimeZone()}.`
+            : '';
+        setCompareStatus(`Sammenligner med ${file.name} (${versions.length} versjon(er)).${zoneNote}`);
+    } catch (error) {
+        console.error("Failed to read compare file:", error);
+        setCompareStatus('Kunne ikke lese filen: ' + error.message);
+    }
+}
+
+function setCompareStatus(text) {
+    const el = document.getElementById('compare-status');
+    if (el) el.textContent = text;
+}
+
+/**
+ * Resolve the theme preference and apply it to the chart and the page (CSS --vv-* properties)
+ * @returns {Object} The applied theme
+ */
+function applyTheme() {
+    const theme = resolveTheme(themeSettings.preference, {
+        prefersDark: !!(darkSchemeQuery && darkSchemeQuery.matches),
+        custom: themeSettings.custom
+    });
+    const rootEl = document.documentElement;
+    Object.entries(themeCssVariables(theme)).forEach(([name, value]) => rootEl.style.setProperty(name, value));
+    rootEl.dataset.themeMode = theme.dark ? 'dark' : 'light';
+    chartManager.setTheme(theme);
+    return theme;
+}
+
+/**
+ * Fill the theme picker and follow the system color scheme while "Automatisk" is picked
+ */
+function initializeThemeControls() {
+    const themeEl = document.getElementById('themeSelect');
+    if (themeEl) {
+        const options = [[THEME_AUTO, 'Automatisk (system)']]
+            .concat(Object.keys(THEME_PRESETS).map(name => [name, THEME_PRESETS[name].label]))
+            .concat([[CUSTOM_THEME, 'Egendefinert']]);
+        themeEl.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        themeEl.value = themeSettings.preference;
+        themeEl.addEventListener('change', () => {
+            // A new custom theme starts from the colors on screen
+            if (themeEl.value === CUSTOM_THEME && !themeSettings.custom) {
+                const current = chartManager.getTheme();
+                themeSettings.custom = {
+                    base: THEME_PRESETS[current.name] ? current.name : 'light',
+                    colors: Object.fromEntries(Object.keys(CUSTOMIZABLE_COLORS).map(key => [key, current.colors[key]]))
+                };
+            }
+            themeSettings.preference = themeEl.value;
+            saveThemeSettings(themeSettings);
+            applyTheme();
+            renderCustomThemeEditor();
+        });
+    }
+    if (darkSchemeQuery) {
+        darkSchemeQuery.addEventListener('change', () => {
+            if (themeSettings.preference === THEME_AUTO) applyTheme();
+        });
+    }
+    renderCustomThemeEditor();
+}
+
+/**
+ * Base preset and color pickers for the custom theme (hidden for the other themes)
+ */
+function renderCustomThemeEditor() {
+    const editorEl = document.getElementById('custom-theme-editor');
+    if (!editorEl) return;
+    editorEl.hidden = themeSettings.preference !== CUSTOM_THEME;
+    if (editorEl.hidden) {
+        editorEl.innerHTML = '';
+        return;
+    }
+    const colors = chartManager.getTheme().colors;
+    const base = themeSettings.custom ? themeSettings.custom.base : 'light';
+    editorEl.innerHTML = `
+        <label>Utgangspunkt <select data-theme-base>${Object.keys(THEME_PRESETS).map(name =>
+            `<option value="${name}"${name === base ? ' selected' : ''}>${THEME_PRESETS[name].label}</option>`).join('')}</select></label>
+        ${Object.keys(CUSTOMIZABLE_COLORS).map(key =>
+            `<label><input type="color" data-theme-color="${key}" value="${colors[key]}" />${CUSTOMIZABLE_COLORS[key]}</label>`).join('')}
+        <button type="button" data-theme-reset>Tilbakestill</button>
+    `;
+    editorEl.querySelector('[data-theme-base]').addEventListener('change', (event) => {
+        themeSettings.custom = { base: event.target.value, colors: {} };
+        saveThemeSettings(themeSettings);
+        applyTheme();
+        renderCustomThemeEditor();
+    });
+    editorEl.querySelectorAll('[data-theme-color]').forEach(input => {
+        input.addEventListener('change', () => {
+            themeSettings.custom = { base, colors: { ...(themeSettings.custom && themeSettings.custom.colors), [input.dataset.themeColor]: input.value } };
+            saveThemeSettings(themeSettings);
+            applyTheme();
+        });
+    });
+    editorEl.querySelector('[data-theme-reset]').addEventListener('click', () => {
+        themeSettings.custom = { base, colors: {} };
+        saveThemeSettings(themeSettings);
+        applyTheme();
+        renderCustomThemeEditor();
+    });
+}
+
+/**
+ * Wire the playback panel: settings, play/pause, step, scrub and the transition log
+ */
+function initializePlaybackControls() {
+    const modeEl = document.getElementById('playbackMode');
+    if (!modeEl) return;
+    modeEl.innerHTML = Object.keys(PLAYBACK_MODES)
+        .map(mode => `<option value="${mode}">${PLAYBACK_MODES[mode]}</option>`)
+        .join('');
+
+    playback = new DatePlayback({
+        resolveFrame: frame => chartManager.resolveVersionNameAt(frame),
+        applyFrame: frame => {
+            chartManager.showPlaybackDates(frame);
+            syncDateInputs();
+        },
+        onChange: renderPlayback,
+        onSettle: () => chartManager.recordPlaybackPosition()
+    });
+    fillPlaybackRange();
+
+    modeEl.addEventListener('change', () => {
+        fillPlaybackRange();
+        configurePlayback();
+    });
+    ['playbackStart', 'playbackEnd', 'playbackStep'].forEach(id => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('change', configurePlayback);
+    });
+    const speedEl = document.getElementById('playbackSpeed');
+    if (speedEl) {
+        playback.setSpeed(speedEl.value);
+        speedEl.addEventListener('change', () => playback.setSpeed(speedEl.value));
+    }
+
+    const onClick = (id, handler) => {
+        const el = document.getElementById(id);
+        if (el) el.addEventListener('click', handler);
+    };
+    onClick('playbackPlayBtn', () => {
+        if (!playback.isConfigured()) configurePlayback();
+        playback.toggle();
+    });
+    onClick('playbackBackBtn', () => {
+        if (!playback.isConfigured()) configurePlayback();
+        playback.step(-1);
+    });
+    onClick('playbackForwardBtn', () => {
+        if (!playback.isConfigured()) configurePlayback();
+        playback.step(1);
+    });
+
+    const scrubEl = document.getElementById('playbackScrub');
+    if (scrubEl) {
+        scrubEl.addEventListener('input', () => playback.seek(Number(scrubEl.value)));
+        scrubEl.addEventListener('change', () => {
+            if (!playback.playing) chartManager.recordPlaybackPosition();
+        });
+    }
+
+    // Clicking a logged transition jumps to it
+    const logEl = document.getElementById('playback-log');
+    if (logEl) {
+        logEl.addEventListener('click', (event) => {
+            const item = event.target.closest('li[data-index]');
+            if (!item) return;
+            playback.pause();
+            playback.seek(Number(item.dataset.index));
+            chartManager.recordPlaybackPosition();
+        });
+    }
+
+    // Edits to the versions or resolve options change where the transitions are
+    document.addEventListener('chartStateChanged', () => {
+        if (playback.isConfigured()) playback.refreshTransitions();
+    });
+
+    configurePlayback();
+}
+
+/**
+ * Default sweep range for the picked mode: the purchase or travel axis of the chart
+ */
+function fillPlaybackRange() {
+    const bounds = chartManager.getAxisBounds();
+    const modeEl = document.getElementById('playbackMode');
+    if (!bounds || !modeEl) return;
+    const range = modeEl.value === 'travel' ? bounds.x : bounds.y;
+    const timeZone = chartManager.getTimeZone();
+    document.getElementById('playbackStart').value = formatInputDate(range.min, timeZone);
+    document.getElementById('playbackEnd').value = formatInputDate(range.max, timeZone);
+}
+
+/**
+ * (Re)build the sweep from the panel settings, starting from the dates on the chart now
+ */
+function configurePlayback() {
+    const timeZone = chartManager.getTimeZone();
+    const returnDate = chartManager.getReturnDate();
+    playback.configure({
+        mode: document.getElementById('playbackMode').value,
+        start: parseInputDateTime(document.getElementById('playbackStart').value, timeZone),
+        end: parseInputDateTime(document.getElementById('playbackEnd').value, timeZone),
+        stepDays: Number(document.getElementById('playbackStep').value) || 1,
+        timeZone,
+        purchaseDate: chartManager.getPurchaseDate().getTime(),
+        travelDate: chartManager.getTravelDate().getTime(),
+        returnDate: returnDate ? returnDate.getTime() : null
+    });
+}
+
+/**
+ * Play button, scrubber, position and transition log
+ */
+function renderPlayback() {
+    const status = playback.getStatus();
+    const playBtn = document.getElementById('playbackPlayBtn');
+    if (playBtn) {
+        playBtn.textContent = status.playing ? 'Pause' : 'Spill av';
+        playBtn.setAttribute('aria-pressed', String(status.playing));
+    }
+    const scrubEl = document.getElementById('playbackScrub');
+    if (scrubEl) {
+        scrubEl.max = String(Math.max(0, status.count - 1));
+        scrubEl.value = String(status.index);
+        scrubEl.disabled = status.count === 0;
+    }
+    const positionEl = document.getElementById('playback-position');
+    if (positionEl) {
+        positionEl.textContent = status.frame
+            ? `${chartManager.formatDate(status.frame.date)} (${status.index + 1}/${status.count})`
+            : 'Ugyldig periode';
+    }
+    const logEl = document.getElementById('playback-log');
+    if (logEl) {
+        if (status.transitions.length === 0) {
+            logEl.innerHTML = status.count ? '<li class="playback-empty">Gyldig versjon endres ikke i perioden.</li>' : '';
+            return;
+        }
+        logEl.innerHTML = status.transitions.map((t, i) => {
+            const classes = [i < status.reached ? 'reached' : '', i === status.reached - 1 ? 'current' : ''].filter(Boolean).join(' ');
+            return `<li data-index="${t.index}" class="${classes}">${chartManager.formatDate(t.date)} ${escapeHtml(t.from || 'ingen')} → ${escapeHtml(t.to || 'ingen')}</li>`;
+        }).join('');
+    }
+}
+
+/**
+ * Fill the preset picker of the data generator
+ */
+function initializeGeneratorControls() {
+    const presetEl = document.getElementById('dataPreset');
+    if (presetEl) {
+        presetEl.innerHTML = Object.keys(DATA_PRESETS)
+            .map(id => `<option value="${id}">${DATA_PRESETS[id].label}</option>`)
+            .join('');
+        presetEl.value = DEFAULT_PRESET;
+    }
+    const generateBtn = document.getElementById('generateDataBtn');
+    if (generateBtn) generateBtn.addEventListener('click', replaceWithGeneratedData);
+}
+
+/**
+ * Generate versions with the picked preset and seed. Without a seed a random one is drawn
+ * and written back to the field, so the same data can be generated again.
+ * @returns {{versions:Array<Object>, preset:string, seed:string}}
+ */
+function generateVersions() {
+    const presetEl = document.getElementById('dataPreset');
+    const seedEl = document.getElementById('dataSeed');
+    const preset = presetEl && DATA_PRESETS[presetEl.value] ? presetEl.value : DEFAULT_PRESET;
+    let seed = seedEl ? seedEl.value.trim() : '';
+    if (!seed) {
+        seed = String(randomSeed());
+        if (seedEl) seedEl.value = seed;
+    }
+    return { versions: new DataGenerator().generateCustomData({ preset, seed }), preset, seed };
+}
+
+/**
+ * Replace the version set with generated data
+ */
+function replaceWithGeneratedData() {
+    const { versions, preset, seed } = generateVersions();
+    chartManager.importData(versions, `Genererte «${DATA_PRESETS[preset].label}» (frø ${seed})`);
+    renderVersionForms();
+    initializeDimensionFilter();
+    runBatch();
+    const statusEl = document.getElementById('import-status');
+    if (statusEl) statusEl.innerHTML = `<div class="coverage-empty">Genererte ${versions.length} versjon(er) med «${escapeHtml(DATA_PRESETS[preset].label)}», frø ${escapeHtml(seed)}.</div>`;
+}
+
+/**
+ * List row-level validation errors for a rejected import
+ */
+function renderImportErrors(fileName, errors, statusId = 'import-status') {
+    const statusEl = document.getElementById(statusId);
+    if (!statusEl) return;
+    const items = errors.map(error =>
+        `<li>${error.row > 0 ? `Rad ${error.row}` : 'Fil'}${error.field ? ` (${escapeHtml(error.field)})` : ''}: ${escapeHtml(error.message)}</li>`
+    ).join('');
+    statusEl.innerHTML = `
+        <div class="batch-flag">${escapeHtml(fileName)} ble ikke importert – ${errors.length} feil:</div>
+        <ul class="import-errors">${items}</ul>
+    `;
+}
+
+/**
+ * Handle version file selection from the file picker
+ */
+function handleVersionFileChange(event) {
+    const file = event.target.files && event.target.files[0];
+    if (file) importVersionFile(file);
+    event.target.value = '';
+}
+
+/**
+ * Accept version files dropped anywhere on the page
+ */
+function setupVersionFileDrop() {
+    let depth = 0; // dragenter/dragleave fire for every child element
+    document.addEventListener('dragenter', (event) => {
+        if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes('Files')) return;
+        depth++;
+        document.body.classList.add('drop-active');
+    });
+    document.addEventListener('dragleave', () => {
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) document.body.classList.remove('drop-active');
+    });
+    document.addEventListener('dragover', (event) => {
+        if (event.dataTransfer && Array.from(event.dataTransfer.types).includes('Files')) event.preventDefault();
+    });
+    document.addEventListener('drop', (event) => {
+        depth = 0;
+        document.body.classList.remove('drop-active');
+        // Drops on a file input (e.g. the booking upload) keep their native behaviour
+        if (event.target instanceof HTMLInputElement && event.target.type === 'file') return;
+        const file = event.dataTransfer && event.dataTransfer.files && event.dataTransfer.files[0];
+        if (!file) return;
+        event.preventDefault();
+        importVersionFile(file);
+    });
+}
+
+/**
+ * Export the current versions as JSON, CSV or iCalendar and download the file
+ */
+function exportVersions(format) {
+    const versions = chartManager.getChartData();
+    const meta = chartManager.getExportMetadata();
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === 'json') {
+        downloadText(exportVersionsJson(versions, meta), `versjoner-${stamp}.json`, 'application/json');
+    } else if (format === 'csv') {
+        downloadText(exportVersionsCsv(versions, { timeZone: meta.timeZone }), `versjoner-${stamp}.csv`, 'text/csv');
+    } else if (format === 'ics') {
+        downloadText(exportVersionsIcs(versions, meta, { inclusiveEnd: chartManager.getResolveOptions().inclusiveEnd }), `versjoner-${stamp}.ics`, 'text/calendar');
+    }
+}
+
+/**
+ * Save the chart view (with title, legend and resolved version) as PNG, SVG or PDF
+ */
+async function exportChartView(format) {
+    const scenario = currentScenarioId ? scenarioStore.get(currentScenarioId) : null;
+    const title = scenario ? `Versjonsoversikt – ${scenario.name}` : 'Versjonsoversikt';
+    const stamp = new Date().toISOString().slice(0, 10);
+    try {
+        const blob = await exportChartImage(chartManager.getImageSnapshot({ title }), format);
+        downloadBlob(blob, `versjonsdiagram-${stamp}.${IMAGE_FORMATS[format].extension}`);
+    } catch (error) {
+        alert(`Kunne ikke eksportere diagrammet: ${error.message}`);
+    }
+}
+
+/**
+ * Offer text as a file download
+ */
+function downloadText(text, fileName, mimeType) {
+    downloadBlob(new Blob([text], { type: mimeType + ';charset=utf-8' }), fileName);
+}
+
+/**
+ * Offer a blob as a file download
+ */
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Resolve the uploaded bookings and render the report
+ */
+function runBatch() {
+    if (!batchBookings) return;
+    renderBatchReport(chartManager.resolveBatch(batchBookings));
+}
+
+/**
+ * Render batch totals and the per-row table
+ */
+function renderBatchReport(report) {
+    const summaryEl = document.getElementById('batch-summary');
+    const resultsEl = document.getElementById('batch-results');
+    if (!summaryEl || !resultsEl) return;
+
+    const list = (totals) => Object.keys(totals).sort()
+        .map(key => `<li>${escapeHtml(key)}: ${totals[key]}</li>`).join('') || '<li>–</li>';
+
+    summaryEl.innerHTML = `
+        <div class="batch-totals">
+            <div><strong>${report.count}</strong> bookinger, <strong class="${report.mismatches.length ? 'batch-flag' : ''}">${report.mismatches.length}</strong> avvik fra forventet versjon</div>
+            <div class="batch-total-group"><span>Per versjon</span><ul>${list(report.totals.byVersion)}</ul></div>
+            <div class="batch-total-group"><span>Per årsak</span><ul>${list(report.totals.byReason)}</ul></div>
         </div>
     `;
+
+    const formatDate = (ts) => ts === null ? '–' : chartManager.formatDate(ts);
+    const rowsHtml = report.rows.map(row => `
+        <tr class="${row.mismatch ? 'batch-mismatch' : ''}">
+            <td>${row.index + 1}</td>
+            <td>${formatDate(row.purchaseDate)}</td>
+            <td>${formatDate(row.travelDate)}</td>
+            <td>${row.booking.dimensions ? escapeHtml(formatDimensions(row.booking.dimensions)) : ''}</td>
+            <td>${escapeHtml(row.expectedVersion ?? '')}</td>
+            <td>${escapeHtml(row.version ?? '–')}</td>
+            <td>${row.reason}</td>
+            <td>${escapeHtml(row.explanation)}</td>
+        </tr>
+    `).join('');
+
+    resultsEl.innerHTML = `
+        <table class="batch-table">
+            <thead>
+                <tr><th>#</th><th>Kjøpsdato</th><th>Reisedato</th><th>Dimensjoner</th><th>Forventet</th><th>Resultat</th><th>Årsak</th><th>Forklaring</th></tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Handle name, tags, notes and color changes for a specific version
+ */
+function handleMetadataChange(versionIndex) {
+    const versionNum = versionIndex + 1;
+    const nameEl = document.getElementById('versionName' + versionNum);
+    const colorOnEl = document.getElementById('versionColorOn' + versionNum);
+    const ok = chartManager.updateVersionMetadata(versionIndex, {
+        version: nameEl.value,
+        tags: document.getElementById('versionTags' + versionNum).value,
+        notes: document.getElementById('versionNotes' + versionNum).value,
+        color: colorOnEl.checked ? document.getElementById('versionColor' + versionNum).value : null
+    });
+    const versionData = chartManager.getChartData()[versionIndex];
+    if (!ok) {
+        alert(`Version name "${nameEl.value.trim()}" is empty or already in use.`);
+        nameEl.value = versionData.version;
+        return;
+    }
+    document.getElementById('versionTitle' + versionNum).innerHTML = versionTitleHtml(versionData);
+    runBatch();
 }
 
 /**
@@ -121,11 +1191,13 @@ function handleDateChange(versionIndex) {
     const publishDateInput = document.getElementById('publishDate' + versionNum)?.value;
     const startDateInput = document.getElementById('startDate' + versionNum)?.value;
     const endDateInput = document.getElementById('endDate' + versionNum)?.value;
+    const withdrawnDateInput = document.getElementById('withdrawnDate' + versionNum)?.value;
 
     if (publishDateInput && startDateInput && endDateInput) {
-        const publishDate = new Date(publishDateInput);
-        let startDate = new Date(startDateInput);
-        let endDate = new Date(endDateInput);
+        const publishDate = inputToDate(publishDateInput);
+        let startDate = inputToDate(startDateInput);
+        let endDate = inputToDate(endDateInput);
+        let withdrawnDate = withdrawnDateInput ? inputToDate(withdrawnDateInput) : null;
 
         // Validate dates
         if (startDate < publishDate) {
@@ -136,21 +1208,108 @@ function handleDateChange(versionIndex) {
 
         if (endDate <= startDate) {
             alert('End date must be after start date for ' + chartManager.getChartData()[versionIndex].version);
-            const minEndDate = new Date(startDate.getTime() + 24 * 60 * 60 * 1000);
+            const minEndDate = new Date(addCalendarDays(startDate.getTime(), 1, chartManager.getTimeZone()));
             document.getElementById('endDate' + versionNum).value = dateToInputFormat(minEndDate);
             endDate = minEndDate;
         }
 
+        if (withdrawnDate && withdrawnDate <= publishDate) {
+            alert('Withdrawn date must be after published date for ' + chartManager.getChartData()[versionIndex].version);
+            document.getElementById('withdrawnDate' + versionNum).value = '';
+            withdrawnDate = null;
+        }
+
         // Update chart through chart manager
-        chartManager.updateVersionData(versionIndex, publishDate, startDate, endDate);
+        chartManager.updateVersionData(versionIndex, publishDate, startDate, endDate, withdrawnDate);
+        runBatch();
+    }
+}
+
+/**
+ * Add, duplicate or delete a version, then rebuild the forms (their ids follow the new indexes)
+ * @param {'add'|'duplicate'|'delete'} action
+ * @param {number} [versionIndex] - Version to duplicate or delete
+ */
+function runVersionAction(action, versionIndex) {
+    let focusIndex = -1;
+    if (action === 'add') {
+        focusIndex = chartManager.addVersion();
+    } else if (action === 'duplicate') {
+        focusIndex = chartManager.duplicateVersion(versionIndex);
+    } else if (action === 'delete') {
+        if (!chartManager.removeVersion(versionIndex)) {
+            alert('Den siste versjonen kan ikke slettes.');
+            return;
+        }
+    } else {
+        return;
     }
+    renderVersionForms();
+    initializeDimensionFilter();
+    runBatch();
+    const formEl = focusIndex >= 0 ? document.getElementById('publishDate' + (focusIndex + 1)) : null;
+    if (formEl) formEl.closest('.version-controls').scrollIntoView({ behavior: 'smooth', block: 'nearest' });
 }
 
 /**
- * Convert date to YYYY-MM-DD format for input fields
+ * Right-click menu on chart columns (opened by ChartManager's 'versionContextMenu' event)
+ */
+function initializeVersionContextMenu() {
+    const menuEl = document.getElementById('version-context-menu');
+    if (!menuEl) return;
+    const hide = () => { menuEl.hidden = true; };
+
+    document.addEventListener('versionContextMenu', (event) => {
+        const { versionIndex, version, clientX, clientY } = event.detail;
+        menuEl.dataset.versionIndex = versionIndex;
+        menuEl.querySelector('.context-menu-title').textContent = version.version;
+        menuEl.hidden = false;
+        // Keep the menu inside the window
+        const { width, height } = menuEl.getBoundingClientRect();
+        menuEl.style.left = Math.min(clientX, window.innerWidth - width - 4) + 'px';
+        menuEl.style.top = Math.min(clientY, window.innerHeight - height - 4) + 'px';
+        const first = menuEl.querySelector('button');
+        if (first) first.focus();
+    });
+
+    menuEl.addEventListener('click', (event) => {
+        const button = event.target.closest('button[data-menu-action]');
+        if (!button) return;
+        hide();
+        runVersionAction(button.dataset.menuAction, Number(menuEl.dataset.versionIndex));
+    });
+    document.addEventListener('pointerdown', (event) => {
+        if (!menuEl.hidden && !menuEl.contains(event.target)) hide();
+    });
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') hide();
+    });
+    window.addEventListener('scroll', hide, { passive: true });
+    window.addEventListener('blur', hide);
+}
+
+/**
+ * Convert date to YYYY-MM-DDTHH:mm (datetime-local) in the dataset's time zone
  */
 function dateToInputFormat(date) {
-    return date.toISOString().split('T')[0];
+    return formatInputDateTime(date.getTime(), chartManager.getTimeZone());
+}
+
+/**
+ * Read a date/datetime-local input value as wall-clock time in the dataset's time zone
+ */
+function inputToDate(value) {
+    return new Date(parseInputDateTime(value, chartManager.getTimeZone()));
+}
+
+/**
+ * Switch the dataset's time zone and rewrite every date input in the new zone
+ */
+function handleTimeZoneChange(timeZone) {
+    chartManager.setTimeZone(timeZone);
+    syncDateInputs();
+    chartManager.getChartData().forEach((_, i) => updateFormValues(i));
+    runBatch();
 }
 
 /**
@@ -160,8 +1319,8 @@ function handlePurchaseDateChange() {
     const purchaseDateInput = document.getElementById('purchaseDate')?.value;
 
     if (purchaseDateInput) {
-        const newPurchaseDate = new Date(purchaseDateInput);
-        console.log("Purchase date changed to:", newPurchaseDate.toLocaleDateString());
+        const newPurchaseDate = inputToDate(purchaseDateInput);
+        console.log("Purchase date changed to:", chartManager.formatDate(newPurchaseDate.getTime()));
 
         // Update the chart manager with the new purchase date
         chartManager.updatePurchaseDate(newPurchaseDate);
@@ -175,14 +1334,24 @@ function handleTravelDateChange() {
     const travelDateInput = document.getElementById('travelDate')?.value;
 
     if (travelDateInput) {
-        const newTravelDate = new Date(travelDateInput);
-        console.log("Travel date changed to:", newTravelDate.toLocaleDateString());
+        const newTravelDate = inputToDate(travelDateInput);
+        console.log("Travel date changed to:", chartManager.formatDate(newTravelDate.getTime()));
 
         // Update the chart manager with the new travel date
         chartManager.updateTravelDate(newTravelDate);
     }
 }
 
+/**
+ * Handle return date input changes (empty clears the trip)
+ */
+function handleReturnDateChange() {
+    const returnDateInput = document.getElementById('returnDate')?.value;
+    const newReturnDate = returnDateInput ? inputToDate(returnDateInput) : null;
+    console.log("Return date changed to:", newReturnDate ? chartManager.formatDate(newReturnDate.getTime()) : 'none');
+    chartManager.updateReturnDate(newReturnDate);
+}
+
 /**
  * Update form values after drag operations
  */
@@ -213,6 +1382,11 @@ function updateFormValues(versionIndex) {
         console.log("Updating end date from", endDateEl.value, "to", newValue);
         endDateEl.value = newValue;
     }
+
+    const withdrawnDateEl = document.getElementById('withdrawnDate' + versionNum);
+    if (withdrawnDateEl) {
+        withdrawnDateEl.value = versionData.withdrawnDate ? dateToInputFormat(new Date(versionData.withdrawnDate)) : '';
+    }
 }
 
 /**
@@ -225,8 +1399,94 @@ function setupEventListeners() {
         console.log("Event detail:", event.detail);
         const { versionIndex } = event.detail;
         updateFormValues(versionIndex);
+        runBatch();
     });
 
+    // A drop the chart refused (the column is already back at its old dates)
+    document.addEventListener('versionDropRejected', (event) => alert(event.detail.reason));
+
+    // Decision map overlay toggle in the legend
+    const decisionMapToggle = document.getElementById('decisionMapToggle');
+    if (decisionMapToggle) {
+        decisionMapToggle.addEventListener('change', () => chartManager.setDecisionMapVisible(decisionMapToggle.checked));
+    }
+
+    // Coverage lint markers toggle in the legend
+    const coverageMarkersToggle = document.getElementById('coverageMarkersToggle');
+    if (coverageMarkersToggle) {
+        coverageMarkersToggle.addEventListener('change', () => chartManager.setCoverageMarkersVisible(coverageMarkersToggle.checked));
+    }
+
+    // Pan mode: dragging the plot moves the view instead of columns and date lines
+    const panModeBtn = document.getElementById('panModeBtn');
+    if (panModeBtn) {
+        panModeBtn.addEventListener('click', () => {
+            const enabled = panModeBtn.getAttribute('aria-pressed') !== 'true';
+            chartManager.setPanMode(enabled);
+            panModeBtn.setAttribute('aria-pressed', String(enabled));
+        });
+    }
+
+    // Fit the axes to the data
+    const fitToDataBtn = document.getElementById('fitToDataBtn');
+    if (fitToDataBtn) {
+        fitToDataBtn.addEventListener('click', () => chartManager.fitToData());
+    }
+
+    // Scenario diff: baseline snapshot and overlay toggle
+    const diffBaselineBtn = document.getElementById('diffBaselineBtn');
+    if (diffBaselineBtn) {
+        diffBaselineBtn.addEventListener('click', () => chartManager.setScenarioBaseline());
+    }
+    const diffClearBtn = document.getElementById('diffClearBtn');
+    if (diffClearBtn) {
+        diffClearBtn.addEventListener('click', () => chartManager.clearScenarioBaseline());
+    }
+    const scenarioDiffToggle = document.getElementById('scenarioDiffToggle');
+    if (scenarioDiffToggle) {
+        scenarioDiffToggle.addEventListener('change', () => chartManager.setScenarioDiffVisible(scenarioDiffToggle.checked));
+    }
+
+    // Version import from file picker or drop anywhere on the page
+    const versionFileEl = document.getElementById('versionFile');
+    if (versionFileEl) {
+        versionFileEl.addEventListener('change', handleVersionFileChange);
+    }
+    setupVersionFileDrop();
+
+    // Seeded test data generator
+    initializeGeneratorControls();
+
+    // Add/duplicate/delete versions from the controls panel and the chart's right-click menu
+    const addVersionBtn = document.getElementById('addVersionBtn');
+    if (addVersionBtn) {
+        addVersionBtn.addEventListener('click', () => runVersionAction('add'));
+    }
+    const versionFormsEl = document.getElementById('version-forms');
+    if (versionFormsEl) {
+        versionFormsEl.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-version-action]');
+            if (button) runVersionAction(button.dataset.versionAction, Number(button.dataset.versionIndex));
+        });
+    }
+    initializeVersionContextMenu();
+
+    // Export buttons (data-export="json|csv|ics")
+    document.querySelectorAll('button[data-export]').forEach(button => {
+        button.addEventListener('click', () => exportVersions(button.dataset.export));
+    });
+
+    // Chart image buttons (data-export-image="png|svg|pdf")
+    document.querySelectorAll('button[data-export-image]').forEach(button => {
+        button.addEventListener('click', () => exportChartView(button.dataset.exportImage));
+    });
+
+    // Batch resolution of uploaded booking lists
+    const batchFileEl = document.getElementById('batchFile');
+    if (batchFileEl) {
+        batchFileEl.addEventListener('change', handleBatchFileChange);
+    }
+
     // Add drag toggle button if it exists
     const dragToggleBtn = document.getElementById('dragToggle');
     if (dragToggleBtn) {